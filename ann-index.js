@@ -0,0 +1,224 @@
+// Approximate nearest-neighbour retrieval over item embeddings
+// IVF (inverted file) index: spherical k-means centroids, search probes the closest lists
+
+class IVFIndex {
+    constructor(options = {}) {
+        this.numLists = options.numLists || 32;    // number of k-means centroids
+        this.numProbes = options.numProbes || 4;   // lists scanned per query (recall/latency knob)
+        this.iterations = options.iterations || 20;
+        this.seed = options.seed ?? 42;
+
+        this.dim = 0;
+        this.numVectors = 0;
+        this.vectors = null;   // Float32Array [numVectors * dim], L2-normalized
+        this.centroids = null; // Float32Array [numLists * dim], L2-normalized
+        this.lists = [];       // lists[c] = Int32Array of vector indices
+        this.bias = null;      // Float32Array [numVectors] added to each candidate's score, or null
+    }
+
+    // Builds from an ItemEmbeddingIndex so rows line up with item indices; scores include its item bias
+    // like ItemEmbeddingIndex.search, so ANN and exact results rank by the same objective
+    static fromItemIndex(itemIndex, options = {}) {
+        const [numItems, dim] = itemIndex.embeddings.shape;
+        const bias = itemIndex.itemBias ? itemIndex.itemBias.dataSync() : null;
+        return new IVFIndex(options).build(itemIndex.embeddings.dataSync(), numItems, dim, bias);
+    }
+
+    build(vectors, numVectors, dim, bias = null) {
+        this.dim = dim;
+        this.bias = bias ? Float32Array.from(bias) : null;
+        this.numVectors = numVectors;
+        this.vectors = new Float32Array(vectors);
+        for (let i = 0; i < numVectors; i++) {
+            IVFIndex.normalizeInPlace(this.vectors, i * dim, dim);
+        }
+
+        this.numLists = Math.max(1, Math.min(this.numLists, numVectors));
+        this.trainCentroids();
+        this.assignLists();
+        return this;
+    }
+
+    trainCentroids() {
+        const { dim, numVectors, numLists } = this;
+        const random = SeededRandom.create(this.seed);
+        this.centroids = new Float32Array(numLists * dim);
+
+        // k-means++ seeding on cosine distance
+        const minDist = new Float32Array(numVectors).fill(Infinity);
+        let chosen = Math.floor(random() * numVectors);
+        for (let c = 0; c < numLists; c++) {
+            this.centroids.set(this.vectors.subarray(chosen * dim, (chosen + 1) * dim), c * dim);
+            if (c === numLists - 1) break;
+
+            let total = 0;
+            for (let i = 0; i < numVectors; i++) {
+                const dist = 1 - this.dot(this.vectors, i * dim, this.centroids, c * dim);
+                minDist[i] = Math.min(minDist[i], Math.max(dist, 0));
+                total += minDist[i];
+            }
+
+            let target = random() * total;
+            chosen = numVectors - 1;
+            for (let i = 0; i < numVectors; i++) {
+                target -= minDist[i];
+                if (target <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+        }
+
+        // Lloyd iterations; centroids are re-normalized so assignment is by cosine
+        const assignments = new Int32Array(numVectors);
+        for (let iter = 0; iter < this.iterations; iter++) {
+            let changed = 0;
+            for (let i = 0; i < numVectors; i++) {
+                const nearest = this.nearestCentroids(this.vectors, i * dim, 1)[0];
+                if (iter === 0 || nearest !== assignments[i]) changed++;
+                assignments[i] = nearest;
+            }
+
+            const sums = new Float32Array(numLists * dim);
+            const counts = new Int32Array(numLists);
+            for (let i = 0; i < numVectors; i++) {
+                const c = assignments[i];
+                counts[c]++;
+                for (let d = 0; d < dim; d++) {
+                    sums[c * dim + d] += this.vectors[i * dim + d];
+                }
+            }
+
+            for (let c = 0; c < numLists; c++) {
+                if (counts[c] === 0) {
+                    // Re-seed empty clusters from a random vector
+                    const i = Math.floor(random() * numVectors);
+                    sums.set(this.vectors.subarray(i * dim, (i + 1) * dim), c * dim);
+                }
+                IVFIndex.normalizeInPlace(sums, c * dim, dim);
+            }
+            this.centroids = sums;
+
+            if (changed === 0) break;
+        }
+    }
+
+    assignLists() {
+        const members = Array.from({ length: this.numLists }, () => []);
+        for (let i = 0; i < this.numVectors; i++) {
+            members[this.nearestCentroids(this.vectors, i * this.dim, 1)[0]].push(i);
+        }
+        this.lists = members.map(list => Int32Array.from(list));
+    }
+
+    // Indices of the n centroids with the highest inner product to the vector at offset
+    nearestCentroids(source, offset, n) {
+        const scores = new Float32Array(this.numLists);
+        for (let c = 0; c < this.numLists; c++) {
+            scores[c] = this.dot(source, offset, this.centroids, c * this.dim);
+        }
+        return IVFIndex.topIndices(scores, n);
+    }
+
+    // query: Float32Array [dim]; excluded: Set of vector indices
+    // Returns { results: [{ index, score }], scanned }
+    search(query, k, numProbes = this.numProbes, excluded = null) {
+        const q = IVFIndex.normalizeInPlace(Float32Array.from(query), 0, this.dim);
+        const probes = this.nearestCentroids(q, 0, Math.min(numProbes, this.numLists));
+
+        const candidates = [];
+        let scanned = 0;
+        for (const c of probes) {
+            for (const i of this.lists[c]) {
+                scanned++;
+                if (excluded && excluded.has(i)) continue;
+                candidates.push({ index: i, score: this.score(q, i) });
+            }
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        return { results: candidates.slice(0, k), scanned };
+    }
+
+    // Brute-force reference over every vector
+    exactSearch(query, k, excluded = null) {
+        const q = IVFIndex.normalizeInPlace(Float32Array.from(query), 0, this.dim);
+        const candidates = [];
+        for (let i = 0; i < this.numVectors; i++) {
+            if (excluded && excluded.has(i)) continue;
+            candidates.push({ index: i, score: this.score(q, i) });
+        }
+        candidates.sort((a, b) => b.score - a.score);
+        return candidates.slice(0, k);
+    }
+
+    // queries: Float32Array [numQueries * dim]; recall@k of IVF against exact search
+    measureRecall(queries, numQueries, k = 10, numProbes = this.numProbes) {
+        let found = 0;
+        let scanned = 0;
+        let annMs = 0;
+        let exactMs = 0;
+
+        for (let qIdx = 0; qIdx < numQueries; qIdx++) {
+            const query = queries.subarray(qIdx * this.dim, (qIdx + 1) * this.dim);
+
+            let start = performance.now();
+            const approx = this.search(query, k, numProbes);
+            annMs += performance.now() - start;
+
+            start = performance.now();
+            const exact = this.exactSearch(query, k);
+            exactMs += performance.now() - start;
+
+            const approxSet = new Set(approx.results.map(r => r.index));
+            found += exact.filter(r => approxSet.has(r.index)).length;
+            scanned += approx.scanned;
+        }
+
+        return {
+            k,
+            numProbes,
+            numLists: this.numLists,
+            numQueries,
+            recall: numQueries > 0 ? found / (numQueries * Math.min(k, this.numVectors)) : 0,
+            avgScanned: numQueries > 0 ? scanned / numQueries : 0,
+            annMsPerQuery: numQueries > 0 ? annMs / numQueries : 0,
+            exactMsPerQuery: numQueries > 0 ? exactMs / numQueries : 0
+        };
+    }
+
+    // Cosine similarity to vector i plus its bias; probing still uses the centroids alone
+    score(q, i) {
+        return this.dot(this.vectors, i * this.dim, q, 0) + (this.bias ? this.bias[i] : 0);
+    }
+
+    dot(a, aOffset, b, bOffset) {
+        let sum = 0;
+        for (let d = 0; d < this.dim; d++) {
+            sum += a[aOffset + d] * b[bOffset + d];
+        }
+        return sum;
+    }
+
+    static normalizeInPlace(values, offset, dim) {
+        let norm = 0;
+        for (let d = 0; d < dim; d++) {
+            norm += values[offset + d] * values[offset + d];
+        }
+        norm = Math.sqrt(norm) || 1;
+        for (let d = 0; d < dim; d++) {
+            values[offset + d] /= norm;
+        }
+        return values;
+    }
+
+    static topIndices(scores, n) {
+        const order = Array.from(scores.keys());
+        order.sort((a, b) => scores[b] - scores[a]);
+        return order.slice(0, n);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IVFIndex };
+}
@@ -4,29 +4,180 @@ class MovieRecommenderApp {
         this.data = null;
         this.baselineModel = null;
         this.deepModel = null;
+        this.sequentialModel = null;
         this.isTraining = false;
-        this.lossHistory = { baseline: [], deep: [] };
+        this.lossHistory = { baseline: [], deep: [], sequential: [] };
+        this.validationHistory = { baseline: [], deep: [], sequential: [] };
+        this.stopRequested = false;
+        this.paused = false;
+        this.lastLossChartDraw = 0;
+        this.dataSource = null;
+        this.dataVersion = 0;
+        this.trainingWorker = null;
+        this.workerDataVersion = null;
+        this.workerRun = null;
+        this.split = null;
+        this.evaluationResults = {};
+        this.trainingConfig = null;
+        this.itemIndexes = {};
+        this.annIndexes = {};
+        this.classicalModels = {}; // name -> fitted ClassicalRecommender
+        this.coldStartSeeds = [];
+        this.pendingInteractions = [];
+        this.titleSearch = null;
+        this.userEdits = null;
+        this.leaderboard = new Leaderboard(typeof localStorage !== 'undefined' ? localStorage : null);
+        this.leaderboardSort = { key: 'recall', descending: true };
+        this.explorerUserId = null;
+        this.projectionCache = {};
+        this.explorerVersion = 0;
         
         // DOM elements
         this.statusEl = document.getElementById('status');
         this.loadBtn = document.getElementById('loadData');
         this.trainBtn = document.getElementById('train');
+        this.stopBtn = document.getElementById('stopTraining');
+        this.pauseBtn = document.getElementById('pauseTraining');
         this.testBtn = document.getElementById('test');
+        this.evaluateBtn = document.getElementById('evaluate');
+        this.benchmarkAnnBtn = document.getElementById('benchmarkAnn');
+        this.beyondAccuracyBtn = document.getElementById('beyondAccuracy');
+        this.saveModelsBtn = document.getElementById('saveModels');
+        this.loadModelsBtn = document.getElementById('loadModels');
+        this.downloadModelsBtn = document.getElementById('downloadModels');
+        this.uploadModelsBtn = document.getElementById('uploadModels');
+        this.modelFileInput = document.getElementById('modelFile');
+        this.coldStartSearchEl = document.getElementById('coldStartSearch');
+        this.coldStartSeedsEl = document.getElementById('coldStartSeeds');
+        this.coldStartAddBtn = document.getElementById('coldStartAdd');
+        this.coldStartRecommendBtn = document.getElementById('coldStartRecommend');
+        this.userIdEl = document.getElementById('userId');
+        this.selectUserBtn = document.getElementById('selectUser');
+        this.userHistoryEl = document.getElementById('userHistory');
+        this.userAddMovieEl = document.getElementById('userAddMovie');
+        this.userAddRatingBtn = document.getElementById('userAddRatingBtn');
+        this.resetUserHistoryBtn = document.getElementById('resetUserHistory');
+        this.newInteractionsFileEl = document.getElementById('newInteractionsFile');
+        this.newInteractionItemEl = document.getElementById('newInteractionItem');
+        this.addInteractionBtn = document.getElementById('addInteraction');
+        this.clearInteractionsBtn = document.getElementById('clearInteractions');
+        this.pendingInteractionsEl = document.getElementById('pendingInteractions');
+        this.updateModelsBtn = document.getElementById('updateModels');
+        this.similarSearchEl = document.getElementById('similarSearch');
+        this.findSimilarBtn = document.getElementById('findSimilar');
+        this.similarMatchesEl = document.getElementById('similarMatches');
+        this.similarResultsEl = document.getElementById('similarResults');
         this.lossCanvas = document.getElementById('lossChart');
-        this.pcaCanvas = document.getElementById('pcaChart');
+        this.explorerModelEl = document.getElementById('explorerModel');
+        this.explorerProjectionEl = document.getElementById('explorerProjection');
+        this.explorerColorEl = document.getElementById('explorerColor');
+        this.explorerUserEl = document.getElementById('explorerUser');
+        this.explorerShowUserBtn = document.getElementById('explorerShowUser');
+        this.explorerClearUserBtn = document.getElementById('explorerClearUser');
         this.comparisonEl = document.getElementById('comparison');
+        this.metricsEl = document.getElementById('metrics');
+        this.beyondAccuracyEl = document.getElementById('beyondAccuracyReport');
+        this.annReportEl = document.getElementById('annReport');
+        this.configJsonEl = document.getElementById('configJson');
+        this.shareConfigBtn = document.getElementById('shareConfig');
+        this.applyConfigBtn = document.getElementById('applyConfig');
+        this.sweepSpaceEl = document.getElementById('sweepSpace');
+        this.runSweepBtn = document.getElementById('runSweep');
+        this.clearLeaderboardBtn = document.getElementById('clearLeaderboard');
+        this.leaderboardEl = document.getElementById('leaderboard');
         
         // Initialize charts
         this.lossCtx = this.lossCanvas.getContext('2d');
-        this.pcaCtx = this.pcaCanvas.getContext('2d');
+        this.explorer = new EmbeddingExplorer(
+            document.getElementById('embeddingChart'),
+            document.getElementById('explorerTooltip'),
+            document.getElementById('explorerLegend')
+        );
         
         this.setupEventListeners();
+        this.applyUrlConfig();
+        this.renderLeaderboard();
     }
 
     setupEventListeners() {
         this.loadBtn.addEventListener('click', () => this.loadData());
         this.trainBtn.addEventListener('click', () => this.trainModels());
+        this.stopBtn.addEventListener('click', () => this.stopTraining());
+        this.pauseBtn.addEventListener('click', () => this.togglePause());
         this.testBtn.addEventListener('click', () => this.testModels());
+        this.evaluateBtn.addEventListener('click', () => this.evaluateModels());
+        this.benchmarkAnnBtn.addEventListener('click', () => this.benchmarkAnn());
+        this.beyondAccuracyBtn.addEventListener('click', () => this.reportBeyondAccuracy());
+        this.saveModelsBtn.addEventListener('click', () => this.saveModels());
+        this.loadModelsBtn.addEventListener('click', () => this.loadSavedModels());
+        this.downloadModelsBtn.addEventListener('click', () => this.downloadModels());
+        this.uploadModelsBtn.addEventListener('click', () => this.modelFileInput.click());
+        this.coldStartAddBtn.addEventListener('click', () => this.addColdStartSeed());
+        this.coldStartRecommendBtn.addEventListener('click', () => this.recommendColdStart());
+        this.shareConfigBtn.addEventListener('click', () => this.shareConfig());
+        this.applyConfigBtn.addEventListener('click', () => this.applyConfigJson());
+        this.runSweepBtn.addEventListener('click', () => this.runSweep());
+        this.clearLeaderboardBtn.addEventListener('click', () => this.clearLeaderboard());
+        this.explorerModelEl.addEventListener('change', () => this.updateEmbeddingExplorer());
+        this.explorerProjectionEl.addEventListener('change', () => this.updateEmbeddingExplorer());
+        this.explorerColorEl.addEventListener('change', () => this.updateEmbeddingExplorer());
+        this.explorerShowUserBtn.addEventListener('click', () => this.showExplorerUser());
+        this.explorerClearUserBtn.addEventListener('click', () => {
+            this.explorerUserId = null;
+            this.updateEmbeddingExplorer();
+        });
+        this.leaderboardEl.addEventListener('click', (event) => {
+            if (event.target.dataset.sort) {
+                this.sortLeaderboard(event.target.dataset.sort);
+            } else if (event.target.dataset.applyEntry) {
+                event.preventDefault();
+                this.applyLeaderboardEntry(event.target.dataset.applyEntry);
+            }
+        });
+        this.selectUserBtn.addEventListener('click', () => this.selectUser());
+        this.userAddRatingBtn.addEventListener('click', () => this.addUserRating());
+        this.resetUserHistoryBtn.addEventListener('click', () => this.resetUserHistory());
+        this.userHistoryEl.addEventListener('click', (event) => {
+            const itemId = event.target.dataset.removeRating;
+            if (itemId) {
+                event.preventDefault();
+                this.removeUserRating(this.parseId(itemId));
+            }
+        });
+        document.getElementById('rerankControls').addEventListener('change', () => {
+            if (this.userEdits && this.hasRankingModels()) this.recommendForUser();
+        });
+        this.addInteractionBtn.addEventListener('click', () => this.addInteraction());
+        this.clearInteractionsBtn.addEventListener('click', () => {
+            this.pendingInteractions = [];
+            this.renderPendingInteractions();
+        });
+        this.updateModelsBtn.addEventListener('click', () => this.updateModels());
+        this.newInteractionsFileEl.addEventListener('change', () => {
+            const file = this.newInteractionsFileEl.files[0];
+            this.newInteractionsFileEl.value = '';
+            if (file) this.readInteractionsFile(file);
+        });
+        this.findSimilarBtn.addEventListener('click', () => this.findSimilar());
+        this.similarSearchEl.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !this.findSimilarBtn.disabled) this.findSimilar();
+        });
+        this.similarMatchesEl.addEventListener('click', (event) => {
+            const itemId = event.target.dataset.similarItem;
+            if (itemId) {
+                event.preventDefault();
+                this.showSimilarMovies(this.parseId(itemId));
+            }
+        });
+        this.coldStartSeedsEl.addEventListener('click', (event) => {
+            const itemId = event.target.dataset.removeSeed;
+            if (itemId) this.removeColdStartSeed(this.parseId(itemId));
+        });
+        this.modelFileInput.addEventListener('change', () => {
+            const file = this.modelFileInput.files[0];
+            this.modelFileInput.value = '';
+            if (file) this.uploadModels(file);
+        });
     }
 
     updateStatus(message) {
@@ -36,24 +187,68 @@ class MovieRecommenderApp {
 
     async loadData() {
         try {
-            this.updateStatus('Loading MovieLens 100K data...');
+            const format = document.getElementById('datasetFormat').value;
+            const adapter = DatasetLoader.getFormat(format);
+            this.updateStatus(`Loading ${adapter.label} data...`);
             this.loadBtn.disabled = true;
 
-            // Load items data
-            const itemsResponse = await fetch('./u.item');
-            if (!itemsResponse.ok) throw new Error('Failed to load u.item');
-            const itemsText = await itemsResponse.text();
-            
-            // Load ratings data
-            const ratingsResponse = await fetch('./u.data');
-            if (!ratingsResponse.ok) throw new Error('Failed to load u.data');
-            const ratingsText = await ratingsResponse.text();
+            const fileNames = DatasetLoader.fileNames(format, {
+                ratings: document.getElementById('ratingsFile').value.trim(),
+                items: document.getElementById('itemsFile').value.trim()
+            });
+            const folder = document.getElementById('dataPath').value.trim().replace(/\/?$/, '/');
+
+            // Required files must load; the rest (demographics, vocabularies, item metadata) are optional
+            const files = {};
+            await Promise.all(Object.entries(fileNames).map(async ([name, fileName]) => {
+                if (adapter.required.includes(name)) {
+                    const response = await fetch(folder + fileName);
+                    if (!response.ok) throw new Error(`Failed to load ${fileName}`);
+                    files[name] = await response.text();
+                } else {
+                    files[name] = await this.fetchOptionalText(folder + fileName);
+                }
+            }));
 
-            this.data = this.parseData(itemsText, ratingsText);
-            this.updateStatus(`Data loaded: ${this.data.ratings.length} ratings, ${this.data.items.size} movies, ${this.data.users.size} users`);
+            // The raw texts are kept so the training worker can parse an identical copy
+            this.dataSource = {
+                format,
+                files,
+                options: {
+                    maxInteractions: parseInt(document.getElementById('maxInteractions').value),
+                    columns: document.getElementById('columnMapping').value,
+                    delimiter: document.getElementById('columnDelimiter').value,
+                    fileNames
+                },
+                updates: [] // interactions appended since, replayed by the worker after parsing
+            };
+            this.data = MovieLensData.load(format, files, this.dataSource.options);
+            this.dataVersion++;
+            this.explorerUserId = null;
+            this.userEdits = null;
+            this.pendingInteractions = [];
+            this.renderPendingInteractions();
+            this.updateStatus(`Data loaded: ${this.data.ratings.length} ratings, ${this.data.items.size} movies, ${this.data.users.size} users, ${this.data.genreDim} genres` +
+                (this.data.userFeatureIndex ? ', with user demographics' : ' (no users file, user features disabled)') +
+                this.describeIssues(this.data.issues));
             
             this.trainBtn.disabled = false;
+            this.runSweepBtn.disabled = false;
             this.testBtn.disabled = false;
+            this.selectUserBtn.disabled = false;
+            this.loadModelsBtn.disabled = false;
+            this.uploadModelsBtn.disabled = false;
+            this.coldStartAddBtn.disabled = false;
+            this.coldStartRecommendBtn.disabled = false;
+            this.addInteractionBtn.disabled = false;
+            this.newInteractionsFileEl.disabled = false;
+
+            this.updateTitleSuggestions();
+            const genreOptions = this.getGenreList()
+                .map((name, i) => `<option value="${i}">${this.escapeHtml(name)}</option>`)
+                .join('');
+            document.getElementById('similarGenre').innerHTML = '<option value="">Any</option>' + genreOptions;
+            document.getElementById('rerankExcludeGenres').innerHTML = genreOptions;
 
         } catch (error) {
             this.updateStatus(`Error loading data: ${error.message}`);
@@ -61,353 +256,1536 @@ class MovieRecommenderApp {
         }
     }
 
-    parseData(itemsText, ratingsText) {
-        const items = new Map();
-        const users = new Map();
-        const ratings = [];
-        const userRatings = new Map();
+    // Title suggestions for the onboarding questionnaire, the similar-movies search and new interactions
+    updateTitleSuggestions() {
+        document.getElementById('movieTitles').innerHTML = Array.from(this.data.items.values())
+            .map(item => `<option value="${this.escapeHtml(item.title)}"></option>`)
+            .join('');
+        this.titleSearch = new TitleSearch(this.data.items.values());
+    }
 
-        // Parse items (movies)
-        const itemLines = itemsText.split('\n');
-        for (const line of itemLines) {
-            if (!line.trim()) continue;
-            
-            const parts = line.split('|');
-            if (parts.length < 24) continue; // Should have id, title, release_date, video_release_date, imdb_url, and 19 genres
-            
-            const itemId = parseInt(parts[0]);
-            const title = parts[1];
-            const genres = parts.slice(5, 24).map(g => parseInt(g)); // 19 genre flags
-            
-            // Extract year from title if present (format: "Title (YYYY)")
-            let year = null;
-            const yearMatch = title.match(/\((\d{4})\)$/);
-            if (yearMatch) {
-                year = parseInt(yearMatch[1]);
+    describeIssues(issues) {
+        if (issues.count === 0) return '';
+        issues.list.forEach(issue => console.warn(DatasetLoader.formatIssue(issue)));
+        return `. Skipped ${issues.count} malformed line${issues.count === 1 ? '' : 's'}, first: ${DatasetLoader.formatIssue(issues.list[0])}` +
+            (issues.count > 1 ? ' (see the console for more)' : '');
+    }
+
+    async fetchOptionalText(path) {
+        try {
+            const response = await fetch(path);
+            return response.ok ? await response.text() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async trainModels() {
+        if (!this.data) {
+            this.updateStatus('Please load data first');
+            return;
+        }
+
+        try {
+            this.isTraining = true;
+            this.trainBtn.disabled = true;
+            this.runSweepBtn.disabled = true;
+            this.stopBtn.disabled = false;
+            this.pauseBtn.disabled = false;
+            this.updateStatus('Training models...');
+
+            const { stopped } = await this.runTraining(this.getTrainingConfig());
+
+            await this.updateEmbeddingExplorer();
+
+            if (stopped) {
+                this.updateStatus(this.hasRankingModels() ?
+                    'Training stopped. Models keep the weights they had reached.' :
+                    'Training stopped before any model was trained.');
+            } else {
+                this.updateStatus(this.split ?
+                    'Training completed! Click Evaluate for held-out metrics or Test to see recommendations.' :
+                    'Training completed! Click Test to see recommendations.');
             }
-            
-            items.set(itemId, {
-                id: itemId,
-                title: title,
-                year: year,
-                genres: genres,
-                genreVector: tf.tensor1d(genres, 'float32')
-            });
+            this.evaluateBtn.disabled = !this.split;
+            this.benchmarkAnnBtn.disabled = false;
+            this.findSimilarBtn.disabled = false;
+            this.beyondAccuracyBtn.disabled = false;
+            this.saveModelsBtn.disabled = false;
+            this.downloadModelsBtn.disabled = false;
+            this.updateModelsBtn.disabled = false;
+
+        } catch (error) {
+            this.updateStatus(`Training error: ${error.message}`);
+        } finally {
+            this.trainBtn.disabled = false;
+            this.runSweepBtn.disabled = false;
+            this.stopBtn.disabled = true;
+            this.pauseBtn.disabled = true;
+            this.isTraining = false;
         }
+    }
 
-        // Parse ratings
-        const maxInteractions = parseInt(document.getElementById('maxInteractions').value);
-        const ratingLines = ratingsText.split('\n').slice(0, maxInteractions);
-        
-        for (const line of ratingLines) {
-            if (!line.trim()) continue;
-            
-            const parts = line.split('\t');
-            if (parts.length < 4) continue;
-            
-            const userId = parseInt(parts[0]);
-            const itemId = parseInt(parts[1]);
-            const rating = parseFloat(parts[2]);
-            const timestamp = parseInt(parts[3]);
-            
-            if (!items.has(itemId)) continue; // Skip if item not found
-            
-            ratings.push({
+    // Trains every model in config.models on a fresh split, in the worker unless the main thread is selected.
+    // Returns { trainSeconds, stopped }; after a stop, models that never started are dropped.
+    async runTraining(config) {
+        this.trainingConfig = config;
+        this.lossHistory = { baseline: [], deep: [], sequential: [] };
+        this.validationHistory = { baseline: [], deep: [], sequential: [] };
+        this.evaluationResults = {};
+        this.stopRequested = false;
+        this.setPaused(false);
+        this.disposeModels();
+        this.updateLossChart(true);
+
+        // Hold out interactions for offline evaluation if a split is selected
+        this.split = TwoTowerPipeline.createSplit(this.data, config.splitMode);
+        const trainRatings = this.split ? this.split.train : this.data.ratings;
+        if (this.split) {
+            this.updateStatus(`Split (${this.split.mode}): ${this.split.train.length} train / ${this.split.test.length} held-out interactions`);
+        }
+
+        // Towers train in the worker or on this thread; the classical references are fitted here afterwards
+        const towerConfig = { ...config, models: config.models.filter(name => TwoTowerPipeline.MODEL_NAMES.includes(name)) };
+        let result = { trainSeconds: {}, stopped: false };
+        if (towerConfig.models.length > 0) {
+            const worker = document.getElementById('trainingThread').value === 'worker' ? this.getTrainingWorker() : null;
+            result = worker ?
+                await this.trainInWorker(worker, towerConfig, trainRatings) :
+                await this.trainOnMainThread(towerConfig, trainRatings);
+        }
+        this.updateLossChart(true);
+
+        for (const name of config.models.filter(name => ClassicalRecommender.NAMES.includes(name))) {
+            if (this.stopRequested) break;
+            this.updateStatus(`Fitting ${this.getModelLabel(name)} on ${trainRatings.length} interactions...`);
+            await tf.nextFrame();
+            const start = performance.now();
+            this.classicalModels[name] = await new ClassicalRecommender(name, this.data, config).fit(trainRatings);
+            result.trainSeconds[name] = (performance.now() - start) / 1000;
+        }
+        return { trainSeconds: result.trainSeconds, stopped: result.stopped || this.stopRequested };
+    }
+
+    async trainOnMainThread(config, trainRatings) {
+        // Initialize models
+        const models = {};
+        for (const name of config.models) {
+            models[name] = TwoTowerPipeline.createModel(name, this.data, config);
+        }
+
+        // Train models
+        const trainSeconds = {};
+        for (const name of config.models) {
+            if (this.stopRequested) {
+                models[name].dispose();
+                delete models[name];
+                continue;
+            }
+            const start = performance.now();
+            await this.trainModel(models[name], name, config, trainRatings);
+            trainSeconds[name] = (performance.now() - start) / 1000;
+        }
+
+        this.baselineModel = models.baseline || null;
+        this.deepModel = models.deep || null;
+        this.sequentialModel = models.sequential || null;
+
+        this.buildItemIndexes();
+        return { trainSeconds, stopped: this.stopRequested };
+    }
+
+    // Returns null (main-thread fallback) where workers are unavailable, e.g. pages opened from file://
+    getTrainingWorker() {
+        if (this.trainingWorker) return this.trainingWorker;
+        try {
+            this.trainingWorker = new Worker('training-worker.js');
+        } catch (error) {
+            this.updateStatus(`Training worker unavailable (${error.message}); training on the main thread`);
+            return null;
+        }
+        this.trainingWorker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.trainingWorker.onerror = (event) => {
+            event.preventDefault();
+            this.failWorkerRun(new Error(event.message || 'Training worker crashed'));
+            this.trainingWorker.terminate();
+            this.trainingWorker = null;
+            this.workerDataVersion = null;
+        };
+        return this.trainingWorker;
+    }
+
+    async trainInWorker(worker, config, trainRatings) {
+        if (this.workerDataVersion !== this.dataVersion) {
+            worker.postMessage({ type: 'load-data', version: this.dataVersion, ...this.dataSource });
+            this.workerDataVersion = this.dataVersion;
+        }
+
+        const finished = new Promise((resolve, reject) => {
+            this.workerRun = { config, resolve, reject };
+        });
+        worker.postMessage({ type: 'start', config });
+        const result = await finished;
+
+        // Weights come back as raw arrays; rebuild the models on this thread for serving
+        const validated = { models: {}, config, lossHistory: this.lossHistory };
+        for (const [name, entry] of Object.entries(result.models)) {
+            validated.models[name] = {
+                dims: entry.dims,
+                weights: new Map(entry.weights.map(w => [w.name, { shape: w.shape, values: w.values }]))
+            };
+        }
+        const restored = ModelStore.restore(validated, this.data);
+        this.baselineModel = restored.models.baseline || null;
+        this.deepModel = restored.models.deep || null;
+        this.sequentialModel = restored.models.sequential || null;
+
+        // Serve the sequential model with training histories only, so held-out items don't leak in
+        if (this.sequentialModel) {
+            const { sequences } = TwoTowerSequential.buildSequences(trainRatings, this.data.userIdToIndex, this.data.itemIdToIndex);
+            this.sequentialModel.setHistories(sequences);
+        }
+
+        this.disposeItemIndexes();
+        const trainSeconds = {};
+        for (const [name, entry] of Object.entries(result.models)) {
+            this.itemIndexes[name] = ItemEmbeddingIndex.fromEmbeddings(restored.models[name], name, this.data, entry.itemEmbeddings);
+            trainSeconds[name] = entry.trainSeconds;
+            if (entry.stopReason === 'early-stopping') {
+                this.updateStatus(`Early stopping ${name}; best epoch ${entry.bestEpoch + 1}`);
+            }
+        }
+        return { trainSeconds, stopped: result.stopped };
+    }
+
+    handleWorkerMessage(message) {
+        const run = this.workerRun;
+        switch (message.type) {
+            case 'data-loaded':
+                console.log(`Training worker parsed ${message.numRatings} ratings`);
+                break;
+            case 'model-started':
+                this.updateStatus(`Training ${message.model} in the background worker...`);
+                break;
+            case 'progress':
+                this.lossHistory[message.model].push(message.loss);
+                this.updateLossChart();
+                if (message.batch % 10 === 0 && run) {
+                    this.updateStatus(`Training ${message.model} - Epoch ${message.epoch + 1}/${run.config.epochs}, Batch ${message.batch}/${message.numBatches}, Loss: ${message.loss.toFixed(4)}`);
+                }
+                break;
+            case 'validation':
+                this.recordValidation(message.model, message.epoch, message.metrics, message.best);
+                break;
+            case 'finished':
+                this.workerRun = null;
+                if (run) run.resolve(message);
+                break;
+            case 'error':
+                this.failWorkerRun(new Error(message.message));
+                break;
+        }
+    }
+
+    failWorkerRun(error) {
+        const run = this.workerRun;
+        this.workerRun = null;
+        if (run) {
+            run.reject(error);
+        } else {
+            this.updateStatus(`Training worker error: ${error.message}`);
+        }
+    }
+
+    togglePause() {
+        if (!this.isTraining) return;
+        this.setPaused(!this.paused);
+        this.updateStatus(this.paused ? 'Training paused' : 'Training resumed');
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.pauseBtn.textContent = paused ? 'Resume Training' : 'Pause Training';
+        if (this.workerRun && this.trainingWorker) {
+            this.trainingWorker.postMessage({ type: paused ? 'pause' : 'resume' });
+        }
+    }
+
+    async waitWhilePaused() {
+        while (this.paused && !this.stopRequested) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    stopTraining() {
+        if (!this.isTraining) return;
+        this.stopRequested = true;
+        this.setPaused(false);
+        if (this.workerRun && this.trainingWorker) {
+            this.trainingWorker.postMessage({ type: 'cancel' });
+        }
+        this.stopBtn.disabled = true;
+        this.updateStatus('Stopping after the current batch...');
+    }
+
+    // Form controls share their ids with the config keys; model toggles are trainBaseline etc.
+    getTrainingConfig() {
+        const raw = {
+            models: ExperimentConfig.SCHEMA.models.values.filter(name =>
+                document.getElementById(`train${this.getModelLabel(name)}`).value === 'yes')
+        };
+        for (const key of Object.keys(ExperimentConfig.SCHEMA)) {
+            if (key !== 'models') {
+                raw[key] = document.getElementById(key).value;
+            }
+        }
+        return ExperimentConfig.normalize(raw);
+    }
+
+    setFormConfig(config) {
+        for (const name of ExperimentConfig.SCHEMA.models.values) {
+            document.getElementById(`train${this.getModelLabel(name)}`).value = config.models.includes(name) ? 'yes' : 'no';
+        }
+        for (const [key, value] of Object.entries(config)) {
+            if (key === 'models') continue;
+            document.getElementById(key).value = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+        }
+    }
+
+    applyUrlConfig() {
+        try {
+            const config = ExperimentConfig.fromQueryString(window.location.search);
+            if (config) {
+                this.setFormConfig(config);
+                this.configJsonEl.value = ExperimentConfig.toJSON(config);
+                this.updateStatus('Config loaded from the link. Load data, then train.');
+            }
+        } catch (error) {
+            this.updateStatus(`Ignoring config in link: ${error.message}`);
+        }
+    }
+
+    async shareConfig() {
+        try {
+            const config = this.getTrainingConfig();
+            const query = ExperimentConfig.toQueryString(config);
+            const url = window.location.href.split('?')[0] + (query ? `?${query}` : '');
+            window.history.replaceState(null, '', url);
+            this.configJsonEl.value = ExperimentConfig.toJSON(config);
+
+            try {
+                await navigator.clipboard.writeText(url);
+                this.updateStatus('Config link copied to clipboard');
+            } catch (error) {
+                this.updateStatus(`Config link: ${url}`);
+            }
+        } catch (error) {
+            this.updateStatus(`Config error: ${error.message}`);
+        }
+    }
+
+    applyConfigJson() {
+        try {
+            const config = ExperimentConfig.fromJSON(this.configJsonEl.value);
+            this.setFormConfig(config);
+            this.configJsonEl.value = ExperimentConfig.toJSON(config);
+            this.updateStatus('Config applied to the controls');
+        } catch (error) {
+            this.updateStatus(`Config error: ${error.message}`);
+        }
+    }
+
+    async runSweep() {
+        if (!this.data) {
+            this.updateStatus('Please load data first');
+            return;
+        }
+        if (this.isTraining) return;
+
+        try {
+            const base = this.getTrainingConfig();
+            const space = ExperimentSweep.parseSpace(this.sweepSpaceEl.value);
+            const mode = document.getElementById('sweepMode').value;
+            let configs = mode === 'random' ?
+                ExperimentSweep.random(base, space, parseInt(document.getElementById('sweepSamples').value) || 1) :
+                ExperimentSweep.grid(base, space);
+
+            // Leaderboard rows need held-out metrics, so runs without a split use leave-last-out
+            configs = configs.map(config => config.splitMode === 'none' ?
+                { ...config, splitMode: 'leave-last-out' } : config);
+
+            const k = parseInt(document.getElementById('evalK').value) || 10;
+            const sweep = `${mode} ${new Date().toLocaleString()}`;
+
+            this.isTraining = true;
+            this.trainBtn.disabled = true;
+            this.runSweepBtn.disabled = true;
+            this.evaluateBtn.disabled = true;
+            this.stopBtn.disabled = false;
+            this.pauseBtn.disabled = false;
+
+            for (let run = 0; run < configs.length; run++) {
+                const config = configs[run];
+                this.updateStatus(`Sweep run ${run + 1}/${configs.length}: ${ExperimentConfig.describe(config)}`);
+                const { trainSeconds, stopped } = await this.runTraining(config);
+                if (stopped) break; // a cut-short run would skew the leaderboard
+
+                for (const { name, model } of this.getRankingModels()) {
+                    this.updateStatus(`Sweep run ${run + 1}/${configs.length}: evaluating ${name}...`);
+                    const metrics = await TwoTowerPipeline.evaluate(this.getItemIndex(model, name), this.data, this.split, k);
+                    this.evaluationResults[name] = metrics;
+                    this.leaderboard.add({
+                        sweep,
+                        run: run + 1,
+                        model: name,
+                        config,
+                        split: this.split.mode,
+                        k,
+                        numRatings: this.data.ratings.length,
+                        trainSeconds: trainSeconds[name],
+                        metrics
+                    });
+                }
+
+                this.renderMetricsTable(this.evaluationResults);
+                this.renderLeaderboard();
+            }
+
+            // The last run's models stay loaded for Test, Save and the ANN benchmark
+            await this.updateEmbeddingExplorer();
+            this.updateStatus((this.stopRequested ?
+                'Sweep stopped; the interrupted run was not added to the leaderboard' :
+                `Sweep finished: ${configs.length} run(s) added to the leaderboard`) + this.getLeaderboardSaveNote());
+            this.evaluateBtn.disabled = !this.split;
+            this.benchmarkAnnBtn.disabled = false;
+            this.findSimilarBtn.disabled = false;
+            this.beyondAccuracyBtn.disabled = false;
+            this.saveModelsBtn.disabled = false;
+            this.downloadModelsBtn.disabled = false;
+            this.updateModelsBtn.disabled = false;
+
+        } catch (error) {
+            this.updateStatus(`Sweep error: ${error.message}`);
+        } finally {
+            this.trainBtn.disabled = false;
+            this.runSweepBtn.disabled = false;
+            this.stopBtn.disabled = true;
+            this.pauseBtn.disabled = true;
+            this.isTraining = false;
+        }
+    }
+
+    clearLeaderboard() {
+        this.leaderboard.clear();
+        this.renderLeaderboard();
+        this.updateStatus('Leaderboard cleared' + this.getLeaderboardSaveNote());
+    }
+
+    getLeaderboardSaveNote() {
+        const error = this.leaderboard.saveError;
+        return error ? ` (could not save the leaderboard, it lasts until reload: ${error.message})` : '';
+    }
+
+    sortLeaderboard(key) {
+        const { key: current, descending } = this.leaderboardSort;
+        this.leaderboardSort = { key, descending: key === current ? !descending : true };
+        this.renderLeaderboard();
+    }
+
+    renderLeaderboard() {
+        const entries = this.leaderboard.sorted(this.leaderboardSort.key, this.leaderboardSort.descending);
+        if (entries.length === 0) {
+            this.leaderboardEl.innerHTML = '<p class="movie-genres">No sweep runs yet.</p>';
+            return;
+        }
+
+        const columns = [
+            ['runAt', 'Run'],
+            ['model', 'Model'],
+            ['recall', 'Recall@K'],
+            ['ndcg', 'NDCG@K'],
+            ['map', 'MAP@K'],
+            ['mrr', 'MRR'],
+            ['hitRate', 'Hit Rate@K'],
+            ['rmse', 'RMSE'],
+            ['mae', 'MAE'],
+            ['trainSeconds', 'Train (s)']
+        ];
+        const arrow = key => key === this.leaderboardSort.key ? (this.leaderboardSort.descending ? ' ▼' : ' ▲') : '';
+
+        let html = `
+            <h3>Leaderboard</h3>
+            <table>
+                <thead>
+                    <tr>
+                        ${columns.map(([key, label]) => `<th data-sort="${key}">${label}${arrow(key)}</th>`).join('')}
+                        <th>Split / K</th>
+                        <th>Config (vs. defaults)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (const entry of entries) {
+            html += `
+                <tr>
+                    <td>${this.escapeHtml(entry.sweep || '')} #${entry.run}</td>
+                    <td class="movie-title">${this.escapeHtml(this.getModelLabel(entry.model))}</td>
+                    ${['recall', 'ndcg', 'map', 'mrr', 'hitRate', 'rmse', 'mae'].map(key => `<td>${this.formatMetric(entry.metrics[key])}</td>`).join('')}
+                    <td>${entry.trainSeconds.toFixed(1)}</td>
+                    <td>${this.escapeHtml(entry.split)} / ${entry.k}</td>
+                    <td class="movie-genres">${this.escapeHtml(ExperimentConfig.describe(entry.config))}</td>
+                    <td><a href="#" data-apply-entry="${this.escapeHtml(entry.id)}">apply</a></td>
+                </tr>
+            `;
+        }
+
+        html += '</tbody></table>';
+        this.leaderboardEl.innerHTML = html;
+    }
+
+    applyLeaderboardEntry(id) {
+        const entry = this.leaderboard.entries.find(e => e.id === id);
+        if (!entry) return;
+        try {
+            const config = ExperimentConfig.normalize(entry.config);
+            this.setFormConfig(config);
+            this.configJsonEl.value = ExperimentConfig.toJSON(config);
+            this.updateStatus(`Applied the config of ${entry.model} run #${entry.run}`);
+        } catch (error) {
+            this.updateStatus(`Config error: ${error.message}`);
+        }
+    }
+
+    getTrainedModels() {
+        return [
+            { name: 'baseline', model: this.baselineModel },
+            { name: 'deep', model: this.deepModel },
+            { name: 'sequential', model: this.sequentialModel }
+        ].filter(entry => entry.model);
+    }
+
+    hasTrainedModels() {
+        return this.getTrainedModels().length > 0;
+    }
+
+    // Trained towers plus the fitted classical references; getItemIndex() serves both
+    getRankingModels() {
+        return this.getTrainedModels().concat(
+            Object.entries(this.classicalModels).map(([name, recommender]) => ({ name, model: recommender }))
+        );
+    }
+
+    hasRankingModels() {
+        return this.getRankingModels().length > 0;
+    }
+
+    getModelLabel(name) {
+        return {
+            baseline: 'Baseline',
+            deep: 'Deep',
+            sequential: 'Sequential',
+            popularity: 'Popularity',
+            itemknn: 'ItemKNN',
+            ease: 'EASE',
+            als: 'ALS'
+        }[name] || name;
+    }
+
+    buildItemIndexes() {
+        this.disposeItemIndexes();
+        for (const { name, model } of this.getTrainedModels()) {
+            this.itemIndexes[name] = new ItemEmbeddingIndex(model, name, this.data).build();
+        }
+    }
+
+    disposeItemIndexes() {
+        Object.values(this.itemIndexes).forEach(index => index.dispose());
+        this.itemIndexes = {};
+        this.annIndexes = {};
+        this.projectionCache = {};
+    }
+
+    disposeModels() {
+        this.disposeItemIndexes();
+        this.getTrainedModels().forEach(({ model }) => model.dispose());
+        this.baselineModel = null;
+        this.deepModel = null;
+        this.sequentialModel = null;
+        this.classicalModels = {};
+    }
+
+    createModelBundle() {
+        return ModelStore.serialize(
+            { baseline: this.baselineModel, deep: this.deepModel, sequential: this.sequentialModel },
+            this.data,
+            this.trainingConfig,
+            this.lossHistory
+        );
+    }
+
+    async saveModels() {
+        if (!this.hasTrainedModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
+
+        try {
+            await ModelStore.saveToIndexedDB(this.createModelBundle());
+            this.updateStatus('Models saved to browser storage');
+        } catch (error) {
+            this.updateStatus(`Error saving models: ${error.message}`);
+        }
+    }
+
+    downloadModels() {
+        if (!this.hasTrainedModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
+
+        ModelStore.download(this.createModelBundle());
+        this.updateStatus('Model bundle downloaded');
+    }
+
+    async loadSavedModels() {
+        try {
+            const bundle = await ModelStore.loadFromIndexedDB();
+            if (!bundle) {
+                this.updateStatus('No saved models found in browser storage');
+                return;
+            }
+            await this.restoreModelBundle(bundle, 'browser storage');
+        } catch (error) {
+            this.updateStatus(`Error loading saved models: ${error.message}`);
+        }
+    }
+
+    async uploadModels(file) {
+        try {
+            const bundle = await ModelStore.readFile(file);
+            await this.restoreModelBundle(bundle, file.name);
+        } catch (error) {
+            this.updateStatus(`Error loading ${file.name}: ${error.message}`);
+        }
+    }
+
+    async restoreModelBundle(bundle, source) {
+        if (!this.data) {
+            throw new Error('Load data before restoring models');
+        }
+        if (this.isTraining) {
+            throw new Error('Cannot restore models while training');
+        }
+
+        // Validate before disposing, so a rejected bundle leaves the current models intact
+        const validated = ModelStore.validate(bundle, this.data);
+        this.disposeModels();
+
+        const restored = ModelStore.restore(validated, this.data);
+        this.baselineModel = restored.models.baseline || null;
+        this.deepModel = restored.models.deep || null;
+        this.sequentialModel = restored.models.sequential || null;
+        this.trainingConfig = restored.config;
+        this.lossHistory = restored.lossHistory;
+        this.validationHistory = { baseline: [], deep: [], sequential: [] };
+        this.split = null;
+        this.evaluationResults = {};
+
+        this.testBtn.disabled = false;
+        this.evaluateBtn.disabled = true;
+        this.benchmarkAnnBtn.disabled = false;
+        this.findSimilarBtn.disabled = false;
+        this.beyondAccuracyBtn.disabled = false;
+        this.saveModelsBtn.disabled = false;
+        this.downloadModelsBtn.disabled = false;
+        this.updateModelsBtn.disabled = false;
+
+        this.buildItemIndexes();
+        this.updateLossChart(true);
+        await this.updateEmbeddingExplorer();
+        const names = Object.keys(restored.models).join(' + ');
+        this.updateStatus(`Restored ${names} model(s) from ${source}. Click Test to see recommendations.`);
+    }
+
+    // One row of the new-interactions form; the movie is an existing title or id, and an unknown id
+    // becomes a new (untitled) item when the models are updated
+    addInteraction() {
+        try {
+            const userId = this.parseId(document.getElementById('newInteractionUser').value);
+            if (userId === null) throw new Error('Enter a user id (a new id adds a user)');
+
+            const text = this.newInteractionItemEl.value.trim();
+            const itemId = this.parseId(text);
+            const item = Array.from(this.data.items.values()).find(i => i.title === text) || this.data.items.get(itemId);
+            if (!item && (itemId === null || /\s/.test(text))) {
+                throw new Error(`No movie matches "${text}"; enter an item id to add a new item`);
+            }
+
+            this.pendingInteractions.push({
                 userId,
-                itemId,
-                rating,
-                timestamp
+                itemId: item ? item.id : itemId,
+                rating: parseInt(document.getElementById('newInteractionRating').value),
+                timestamp: Math.floor(Date.now() / 1000)
             });
+            this.newInteractionItemEl.value = '';
+            this.renderPendingInteractions();
+        } catch (error) {
+            this.updateStatus(`Cannot add interaction: ${error.message}`);
+        }
+    }
 
-            // Track user ratings
-            if (!userRatings.has(userId)) {
-                userRatings.set(userId, []);
+    // An interactions file in the loaded dataset's format (u.data lines, ratings.dat, CSV, ...)
+    async readInteractionsFile(file) {
+        try {
+            const update = MovieLensData.parseUpdate(this.dataSource.format, { ratings: await file.text() }, {
+                ...this.dataSource.options,
+                fileNames: { ...this.dataSource.options.fileNames, ratings: file.name }
+            });
+            if (update.ratings.length === 0) {
+                throw new Error('no interactions found');
             }
-            userRatings.get(userId).push({ itemId, rating, timestamp });
-            
-            // Add to users map
-            if (!users.has(userId)) {
-                users.set(userId, { id: userId, ratings: [] });
+            this.pendingInteractions.push(...update.ratings);
+            this.renderPendingInteractions();
+            this.updateStatus(`Read ${update.ratings.length} interactions from ${file.name}` + this.describeIssues(update.issues));
+        } catch (error) {
+            this.updateStatus(`Error reading ${file.name}: ${error.message}`);
+        }
+    }
+
+    renderPendingInteractions() {
+        const pending = this.pendingInteractions;
+        this.clearInteractionsBtn.disabled = pending.length === 0;
+        if (pending.length === 0) {
+            this.pendingInteractionsEl.innerHTML = '';
+            return;
+        }
+        const title = itemId => this.data.items.has(itemId) ? this.data.items.get(itemId).title : `new item ${itemId}`;
+        this.pendingInteractionsEl.innerHTML = `
+            <div class="movie-genres">${pending.length} pending interaction${pending.length === 1 ? '' : 's'}${pending.length > 5 ? ', latest:' : ':'}</div>
+            ${pending.slice(-5).map(row => `
+                <div class="movie-genres">
+                    user ${this.escapeHtml(String(row.userId))}${this.data.users.has(row.userId) ? '' : ' (new)'}:
+                    ${this.escapeHtml(title(row.itemId))} (${row.rating})
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // Appends the pending interactions to the data, grows every trained model for the new users and
+    // items and fine-tunes it for a few epochs on the new interactions plus replayed older ones.
+    // Held-out test interactions stay out; the classical references are refitted.
+    async updateModels() {
+        if (!this.hasTrainedModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
+        if (this.isTraining) return;
+        if (this.pendingInteractions.length === 0) {
+            this.updateStatus('Add interactions or read an interactions file first');
+            return;
+        }
+
+        try {
+            this.isTraining = true;
+            this.stopRequested = false;
+            this.setPaused(false);
+            this.trainBtn.disabled = true;
+            this.runSweepBtn.disabled = true;
+            this.updateModelsBtn.disabled = true;
+            this.stopBtn.disabled = false;
+            this.pauseBtn.disabled = false;
+
+            const update = { ratings: this.pendingInteractions, items: null, itemsFile: null };
+            const issues = DatasetLoader.createIssues();
+            const added = MovieLensData.append(this.data, update, issues);
+            this.dataSource.updates.push(update);
+            this.dataVersion++;
+            this.pendingInteractions = [];
+            this.renderPendingInteractions();
+
+            if (this.split) {
+                DataSplitter.addTraining(this.split, added.ratings);
+            }
+            const trainRatings = this.split ? this.split.train : this.data.ratings;
+
+            // Grow everything first, so a stop part-way still leaves every model servable
+            this.disposeItemIndexes();
+            const models = this.getTrainedModels();
+            models.forEach(({ model }) => TwoTowerPipeline.growModel(model, this.data));
+
+            const config = this.trainingConfig || this.getTrainingConfig();
+            const epochs = Math.max(1, parseInt(document.getElementById('updateEpochs').value) || 3);
+            const replayRatio = Math.max(0, parseFloat(document.getElementById('replayRatio').value) || 0);
+            const start = performance.now();
+            let replayed = 0;
+            for (const { name, model } of models) {
+                if (this.stopRequested) break;
+                const result = await TwoTowerPipeline.updateModel(model, name, this.data,
+                    { newRatings: added.ratings, trainRatings, epochs, replayRatio }, config, {
+                        onBatch: ({ epoch, batch, numBatches, loss }) => {
+                            this.lossHistory[name].push(loss);
+                            this.updateLossChart();
+                            if (batch % 10 === 0) {
+                                this.updateStatus(`Fine-tuning ${name} - Epoch ${epoch + 1}/${epochs}, Batch ${batch}/${numBatches}, Loss: ${loss.toFixed(4)}`);
+                            }
+                        },
+                        beforeBatch: () => this.waitWhilePaused(),
+                        shouldStop: () => this.stopRequested
+                    });
+                replayed = result.replayed;
+            }
+            if (this.sequentialModel) {
+                const { sequences } = TwoTowerSequential.buildSequences(trainRatings, this.data.userIdToIndex, this.data.itemIdToIndex);
+                this.sequentialModel.setHistories(sequences);
+            }
+            this.updateLossChart(true);
+            this.buildItemIndexes();
+
+            for (const name of Object.keys(this.classicalModels)) {
+                this.updateStatus(`Refitting ${this.getModelLabel(name)} on ${trainRatings.length} interactions...`);
+                await tf.nextFrame();
+                this.classicalModels[name] = await new ClassicalRecommender(name, this.data, config).fit(trainRatings);
+            }
+
+            this.updateTitleSuggestions();
+            this.userEdits = null;
+            this.evaluationResults = {};
+            await this.updateEmbeddingExplorer();
+
+            const seconds = (performance.now() - start) / 1000;
+            this.updateStatus(`Added ${added.ratings.length} interactions (${added.newUsers.length} new users, ${added.newItems.length} new items); ` +
+                (this.stopRequested ?
+                    'fine-tuning stopped, models keep the weights they had reached' :
+                    `fine-tuned ${models.map(({ name }) => name).join(' + ')} for ${epochs} epoch(s) on them plus ${replayed} replayed interactions in ${seconds.toFixed(1)}s`) +
+                this.describeIssues(issues));
+
+        } catch (error) {
+            this.updateStatus(`Update error: ${error.message}`);
+        } finally {
+            this.trainBtn.disabled = false;
+            this.runSweepBtn.disabled = false;
+            this.updateModelsBtn.disabled = false;
+            this.stopBtn.disabled = true;
+            this.pauseBtn.disabled = true;
+            this.isTraining = false;
+        }
+    }
+
+    async trainModel(model, modelName, config, ratings = this.data.ratings) {
+        const result = await TwoTowerPipeline.trainModel(model, modelName, this.data, ratings, config, {
+            onBatch: ({ epoch, batch, numBatches, loss }) => {
+                // Update loss history and chart
+                this.lossHistory[modelName].push(loss);
+                this.updateLossChart();
+
+                if (batch % 10 === 0) {
+                    this.updateStatus(`Training ${modelName} - Epoch ${epoch + 1}/${config.epochs}, Batch ${batch}/${numBatches}, Loss: ${loss.toFixed(4)}`);
+                }
+            },
+            onEpoch: ({ epoch, loss }) => {
+                console.log(`${modelName} Epoch ${epoch + 1}, Average Loss: ${loss.toFixed(4)}`);
+            },
+            onValidation: ({ epoch, metrics, best }) => this.recordValidation(modelName, epoch, metrics, best),
+            beforeBatch: () => this.waitWhilePaused(),
+            shouldStop: () => this.stopRequested
+        });
+
+        if (result.stopReason === 'early-stopping') {
+            this.updateStatus(`Early stopping ${modelName} after epoch ${result.epochLosses.length}; ` +
+                `${config.restoreBestWeights ? 'restored' : 'best was'} epoch ${result.bestEpoch + 1}`);
+        }
+        if (result.temperature !== null) {
+            console.log(`${modelName} learned temperature: ${result.temperature.toFixed(4)}`);
+        }
+        return result;
+    }
+
+    recordValidation(modelName, epoch, metrics, best) {
+        this.validationHistory[modelName].push({
+            batch: this.lossHistory[modelName].length,
+            epoch,
+            recall: metrics.recall,
+            best
+        });
+        this.updateLossChart(true);
+        this.updateStatus(`Validating ${modelName} - Epoch ${epoch + 1}: Recall@${metrics.k} ${metrics.recall.toFixed(4)}${best ? ' (best so far)' : ''}`);
+    }
+
+    // Training calls this after every batch, so redraws are throttled unless forced
+    updateLossChart(force = false) {
+        const now = performance.now();
+        if (!force && now - this.lastLossChartDraw < 100) return;
+        this.lastLossChartDraw = now;
+        this.drawLossChart();
+    }
+
+    drawLossChart() {
+        const ctx = this.lossCtx;
+        const width = this.lossCanvas.width;
+        const height = this.lossCanvas.height;
+        const padding = 40;
+        const colors = { baseline: '#4a90e2', deep: '#e2574c', sequential: '#50b86c' };
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Exponential moving average smooths the noisy per-batch losses
+        const series = Object.entries(this.lossHistory)
+            .filter(([, losses]) => losses.length > 0)
+            .map(([name, losses]) => {
+                let ema = losses[0];
+                return [name, losses.map(loss => (ema = 0.9 * ema + 0.1 * loss))];
+            });
+        if (series.length === 0) return;
+
+        const maxBatches = Math.max(...series.map(([, values]) => values.length));
+        const allValues = series.flatMap(([, values]) => values);
+        const yMin = Math.min(...allValues);
+        const yMax = Math.max(...allValues);
+        const maxRecall = Math.max(0.01, ...Object.values(this.validationHistory).flat().map(v => v.recall));
+
+        const scaleX = (i) => padding + i / Math.max(1, maxBatches - 1) * (width - 2 * padding);
+        const scaleY = (y) => height - padding - (y - yMin) / ((yMax - yMin) || 1) * (height - 2 * padding);
+        const scaleRecall = (r) => height - padding - r / (maxRecall * 1.1) * (height - 2 * padding);
+
+        // Smoothed loss per model
+        ctx.lineWidth = 2;
+        for (const [name, values] of series) {
+            ctx.strokeStyle = colors[name];
+            ctx.beginPath();
+            values.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(scaleX(i), scaleY(value));
+                else ctx.lineTo(scaleX(i), scaleY(value));
+            });
+            ctx.stroke();
+        }
+
+        // Per-epoch validation Recall@K on the right axis, dashed
+        ctx.setLineDash([4, 4]);
+        for (const [name, points] of Object.entries(this.validationHistory)) {
+            if (points.length === 0) continue;
+            ctx.strokeStyle = colors[name];
+            ctx.fillStyle = colors[name];
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const x = scaleX(point.batch - 1);
+                const y = scaleRecall(point.recall);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            for (const point of points) {
+                ctx.beginPath();
+                ctx.arc(scaleX(point.batch - 1), scaleRecall(point.recall), point.best ? 5 : 3, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        }
+        ctx.setLineDash([]);
+
+        // Draw axes
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.lineTo(width - padding, padding);
+        ctx.stroke();
+
+        // Labels and legend
+        ctx.fillStyle = '#333';
+        ctx.font = '12px Arial';
+        ctx.fillText('Batch', width / 2, height - 10);
+        ctx.fillText(yMax.toFixed(3), 2, padding);
+        ctx.fillText(yMin.toFixed(3), 2, height - padding);
+        ctx.fillText(`Recall ${(maxRecall * 1.1).toFixed(3)}`, width - padding - 30, padding - 5);
+        ctx.fillText('solid: smoothed loss, dashed: validation Recall@K', padding, 15);
+        series.forEach(([name], i) => {
+            ctx.fillStyle = colors[name];
+            ctx.fillRect(width - padding - 90, padding + 10 + i * 16, 10, 10);
+            ctx.fillStyle = '#333';
+            ctx.fillText(this.getModelLabel(name), width - padding - 75, padding + 19 + i * 16);
+        });
+    }
+
+    // Picks a random user with at least 20 ratings and shows their recommendations
+    async testModels() {
+        if (!this.data || !this.hasRankingModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
+
+        const eligibleUsers = Array.from(this.data.userRatings.entries())
+            .filter(([_, ratings]) => ratings.length >= 20)
+            .map(([userId]) => userId);
+
+        if (eligibleUsers.length === 0) {
+            this.updateStatus('No users with sufficient ratings found');
+            return;
+        }
+
+        this.userIdEl.value = eligibleUsers[Math.floor(Math.random() * eligibleUsers.length)];
+        await this.selectUser();
+    }
+
+    // Loads the chosen user's full history into an editable copy; data.userRatings is never modified
+    async selectUser() {
+        const userId = this.parseId(this.userIdEl.value);
+        if (!this.data || !this.data.userRatings.has(userId)) {
+            this.updateStatus(`User ${this.userIdEl.value || '(none)'} has no ratings in the loaded data`);
+            return;
+        }
+
+        this.userEdits = {
+            userId,
+            ratings: this.data.userRatings.get(userId).map(r => ({ itemId: r.itemId, rating: r.rating, timestamp: r.timestamp })),
+            edited: false
+        };
+        this.userAddRatingBtn.disabled = false;
+        this.resetUserHistoryBtn.disabled = false;
+        this.renderUserHistory();
+        await this.recommendForUser();
+    }
+
+    async addUserRating() {
+        if (!this.userEdits) return;
+        const title = this.userAddMovieEl.value.trim();
+        const item = Array.from(this.data.items.values()).find(i => i.title === title) ||
+            this.titleSearch.search(title, 1).map(match => match.item)[0];
+        if (!title || !item) {
+            this.updateStatus(`No movie matches "${title}"`);
+            return;
+        }
+
+        // Newest rating, so the sequential tower sees it at the end of the history
+        const rating = parseInt(document.getElementById('userAddRating').value);
+        const timestamp = Math.max(0, ...this.userEdits.ratings.map(r => r.timestamp)) + 1;
+        this.userEdits.ratings = this.userEdits.ratings.filter(r => r.itemId !== item.id);
+        this.userEdits.ratings.push({ itemId: item.id, rating, timestamp });
+        this.userEdits.edited = true;
+        this.userAddMovieEl.value = '';
+        this.renderUserHistory();
+        await this.recommendForUser();
+    }
+
+    async removeUserRating(itemId) {
+        if (!this.userEdits) return;
+        this.userEdits.ratings = this.userEdits.ratings.filter(r => r.itemId !== itemId);
+        this.userEdits.edited = true;
+        this.renderUserHistory();
+        await this.recommendForUser();
+    }
+
+    async resetUserHistory() {
+        if (!this.userEdits) return;
+        this.userIdEl.value = this.userEdits.userId;
+        await this.selectUser();
+    }
+
+    renderUserHistory() {
+        const { userId, ratings, edited } = this.userEdits;
+        const rows = [...ratings]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(r => {
+                const movie = this.data.items.get(r.itemId);
+                return `
+                    <tr>
+                        <td>${this.escapeHtml(movie.title)}</td>
+                        <td>${r.rating}/5</td>
+                        <td>${this.getGenreNames(movie.genres)}</td>
+                        <td><a href="#" data-remove-rating="${r.itemId}">remove</a></td>
+                    </tr>
+                `;
+            })
+            .join('');
+
+        this.userHistoryEl.innerHTML = `
+            <h3>User ${userId} - ${ratings.length} Rating(s), Newest First${edited ? ' (edited)' : ''}</h3>
+            <table>
+                <thead>
+                    <tr><th>Movie</th><th>Rating</th><th>Genres</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Unedited histories use the trained user vectors; edits are folded in with the item towers frozen.
+    // With re-ranking on, a larger candidate pool is retrieved and the table shows both orders.
+    async recommendForUser() {
+        const { userId, ratings, edited } = this.userEdits;
+        if (!this.hasRankingModels()) {
+            this.updateStatus(`Showing user ${userId}. Train or load models to see recommendations.`);
+            return;
+        }
+
+        try {
+            this.updateStatus(edited ? `Folding in edited history for user ${userId}...` : 'Generating recommendations...');
+
+            const topRated = [...ratings]
+                .sort((a, b) => b.rating - a.rating || b.timestamp - a.timestamp)
+                .slice(0, 10)
+                .map(r => ({ ...this.data.items.get(r.itemId), itemId: r.itemId, rating: r.rating }));
+
+            const ratedItemIds = new Set(ratings.map(r => r.itemId));
+            const unratedItems = Array.from(this.data.items.values())
+                .filter(item => !ratedItemIds.has(item.id));
+            const history = ratings.map(r => ({
+                itemIndex: this.data.itemIdToIndex.get(r.itemId),
+                rating: r.rating,
+                timestamp: r.timestamp
+            }));
+
+            const recsByModel = {};
+            const beforeByModel = {};
+            let reranked = false;
+            for (const { name, model } of this.getRankingModels()) {
+                const index = this.getItemIndex(model, name);
+                const reranker = this.getReranker(index);
+                const poolSize = reranker.isActive() ? Math.max(10, parseInt(document.getElementById('rerankPool').value) || 100) : 10;
+
+                let pool;
+                if (edited) {
+                    const ranked = index.model ?
+                        await new UserFoldIn(index).recommend(this.data.userIdToIndex.get(userId), history, poolSize) :
+                        index.recommendHistory(history.map(entry => entry.itemIndex), poolSize);
+                    pool = ranked.map(({ itemId, score }) => ({ ...this.data.items.get(itemId), score }));
+                } else {
+                    pool = await this.generateRecommendations(model, userId, unratedItems, name, poolSize);
+                }
+                pool = pool.map((rec, i) => ({ ...rec, itemId: rec.id, retrievalRank: i + 1 }));
+
+                beforeByModel[name] = pool.slice(0, 10);
+                recsByModel[name] = reranker.isActive() ? reranker.rerank(pool, 10, [...ratedItemIds]) : beforeByModel[name];
+                reranked = reranked || reranker.isActive();
+                await this.explainRecommendations(index, history, [beforeByModel[name], recsByModel[name]]);
+            }
+
+            this.renderComparisonTable(userId, topRated, recsByModel,
+                edited ? `User ${userId} (edited history)` : `User ${userId}`,
+                reranked ? beforeByModel : null);
+            this.updateStatus(edited ?
+                `Recommendations for user ${userId} recomputed from the edited history` :
+                `Recommendations generated for user ${userId}`);
+
+        } catch (error) {
+            this.updateStatus(`Recommendation error: ${error.message}`);
+        }
+    }
+
+    async evaluateModels() {
+        if (!this.split) {
+            this.updateStatus('Select an evaluation split and retrain before evaluating');
+            return;
+        }
+        if (!this.hasRankingModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
+
+        try {
+            this.evaluateBtn.disabled = true;
+            const k = parseInt(document.getElementById('evalK').value) || 10;
+            const models = this.getRankingModels();
+
+            this.evaluationResults = {};
+            for (const { name, model } of models) {
+                this.updateStatus(`Evaluating ${name} on ${this.split.eligibleUsers.length} users...`);
+
+                this.evaluationResults[name] = await TwoTowerPipeline.evaluate(
+                    this.getItemIndex(model, name),
+                    this.data,
+                    this.split,
+                    k,
+                    (done, total) => {
+                        this.updateStatus(`Evaluating ${name}: ${done}/${total} users`);
+                    }
+                );
             }
+
+            this.renderMetricsTable(this.evaluationResults);
+            this.updateStatus(`Evaluation completed (${this.split.mode} split, K=${k})`);
+
+        } catch (error) {
+            this.updateStatus(`Evaluation error: ${error.message}`);
+        } finally {
+            this.evaluateBtn.disabled = false;
+        }
+    }
+
+    addColdStartSeed() {
+        const title = this.coldStartSearchEl.value.trim();
+        const item = Array.from(this.data.items.values()).find(i => i.title === title);
+        if (!item) {
+            this.updateStatus(`No movie titled "${title}"`);
+            return;
+        }
+
+        const rating = parseInt(document.getElementById('coldStartRating').value);
+        this.coldStartSeeds = this.coldStartSeeds.filter(seed => seed.itemId !== item.id);
+        this.coldStartSeeds.push({ itemId: item.id, rating });
+        this.coldStartSearchEl.value = '';
+        this.renderColdStartSeeds();
+    }
+
+    removeColdStartSeed(itemId) {
+        this.coldStartSeeds = this.coldStartSeeds.filter(seed => seed.itemId !== itemId);
+        this.renderColdStartSeeds();
+    }
+
+    renderColdStartSeeds() {
+        this.coldStartSeedsEl.innerHTML = this.coldStartSeeds.map(seed => `
+            <div class="movie-genres">
+                ${this.escapeHtml(this.data.items.get(seed.itemId).title)} (${seed.rating}/5)
+                <a href="#" data-remove-seed="${seed.itemId}">remove</a>
+            </div>
+        `).join('');
+    }
+
+    async recommendColdStart() {
+        if (!this.hasTrainedModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
+        if (this.coldStartSeeds.length === 0) {
+            this.updateStatus('Pick and rate a few movies first');
+            return;
+        }
+
+        try {
+            this.coldStartRecommendBtn.disabled = true;
+            const method = document.getElementById('coldStartMethod').value;
+            const seeds = this.coldStartSeeds.map(seed => ({
+                itemIndex: this.data.itemIdToIndex.get(seed.itemId),
+                rating: seed.rating
+            }));
+
+            const recsByModel = {};
+            for (const { name, model } of this.getTrainedModels()) {
+                this.updateStatus(`Building cold-start vector for ${name} (${method})...`);
+                const recommender = new ColdStartRecommender(this.getItemIndex(model, name));
+                const ranked = await recommender.recommend(seeds, 10, method);
+                recsByModel[name] = ranked.map(({ itemId, score }) => ({ ...this.data.items.get(itemId), score }));
+                await this.explainRecommendations(this.getItemIndex(model, name), seeds, [recsByModel[name]]);
+            }
+
+            const seedRows = this.coldStartSeeds.map(seed => ({
+                ...this.data.items.get(seed.itemId),
+                itemId: seed.itemId,
+                rating: seed.rating
+            }));
+            this.renderComparisonTable('new', seedRows, recsByModel, 'New User (Cold Start)');
+            this.updateStatus(`Cold-start recommendations from ${seeds.length} seed movie(s)`);
+
+        } catch (error) {
+            this.updateStatus(`Cold-start error: ${error.message}`);
+        } finally {
+            this.coldStartRecommendBtn.disabled = false;
+        }
+    }
+
+    async findSimilar() {
+        const query = this.similarSearchEl.value.trim();
+        if (!query) {
+            this.updateStatus('Type a movie title first');
+            return;
+        }
+
+        const matches = this.titleSearch.search(query, 6);
+        if (matches.length === 0) {
+            this.similarMatchesEl.innerHTML = '';
+            this.updateStatus(`No movie matches "${query}"`);
+            return;
         }
 
-        // Create index mappings
-        const userIdToIndex = new Map();
-        const itemIdToIndex = new Map();
-        const indexToUserId = [];
-        const indexToItemId = [];
+        // Best match is searched right away; the runners-up can be picked instead
+        const others = matches.slice(1);
+        this.similarMatchesEl.innerHTML = others.length === 0 ? '' : 'Did you mean: ' + others
+            .map(({ item }) => `<a href="#" data-similar-item="${item.id}">${this.escapeHtml(item.title)}</a>`)
+            .join(' · ');
+        await this.showSimilarMovies(matches[0].item.id);
+    }
 
-        // User indices
-        let userIndex = 0;
-        for (const userId of users.keys()) {
-            userIdToIndex.set(userId, userIndex);
-            indexToUserId.push(userId);
-            userIndex++;
+    // Cosine nearest neighbours of one movie in each trained model's item-embedding space
+    async showSimilarMovies(itemId, k = 10) {
+        if (!this.hasTrainedModels()) {
+            this.updateStatus('Please train models first');
+            return;
         }
 
-        // Item indices
-        let itemIndex = 0;
-        for (const itemId of items.keys()) {
-            itemIdToIndex.set(itemId, itemIndex);
-            indexToItemId.push(itemId);
-            itemIndex++;
+        try {
+            const movie = this.data.items.get(itemId);
+            const filters = this.getSimilarFilters();
+            const excluded = [];
+            for (let i = 0; i < this.data.numItems; i++) {
+                if (!this.matchesSimilarFilters(this.data.items.get(this.data.indexToItemId[i]), filters)) {
+                    excluded.push(i);
+                }
+            }
+
+            const neighboursByModel = {};
+            for (const { name, model } of this.getTrainedModels()) {
+                const ranked = await this.getItemIndex(model, name).similarItems(this.data.itemIdToIndex.get(itemId), k, excluded);
+                neighboursByModel[name] = ranked.map(({ itemId: id, score }) => ({ ...this.data.items.get(id), score }));
+            }
+
+            this.renderSimilarTable(movie, neighboursByModel);
+            const found = Math.max(...Object.values(neighboursByModel).map(list => list.length));
+            this.updateStatus(found > 0 ?
+                `Movies similar to ${movie.title}` :
+                `No movies similar to ${movie.title} pass the genre and year filters`);
+        } catch (error) {
+            this.updateStatus(`Similar movies error: ${error.message}`);
         }
+    }
 
+    getSimilarFilters() {
+        const genre = document.getElementById('similarGenre').value;
+        const yearFrom = parseInt(document.getElementById('similarYearFrom').value);
+        const yearTo = parseInt(document.getElementById('similarYearTo').value);
         return {
-            items,
-            users,
-            ratings,
-            userRatings,
-            userIdToIndex,
-            itemIdToIndex,
-            indexToUserId,
-            indexToItemId,
-            numUsers: users.size,
-            numItems: items.size,
-            genreDim: 19 // 19 genres in MovieLens
+            genre: genre === '' ? null : parseInt(genre),
+            yearFrom: Number.isNaN(yearFrom) ? null : yearFrom,
+            yearTo: Number.isNaN(yearTo) ? null : yearTo
         };
     }
 
-    async trainModels() {
-        if (!this.data) {
-            this.updateStatus('Please load data first');
-            return;
+    // Movies without a known year drop out as soon as a year bound is set
+    matchesSimilarFilters(item, { genre, yearFrom, yearTo }) {
+        if (genre !== null && !item.genres[genre]) return false;
+        if ((yearFrom !== null || yearTo !== null) && !item.year) return false;
+        if (yearFrom !== null && item.year < yearFrom) return false;
+        if (yearTo !== null && item.year > yearTo) return false;
+        return true;
+    }
+
+    renderSimilarTable(movie, neighboursByModel) {
+        const modelNames = Object.keys(neighboursByModel);
+        let html = `
+            <h3>More Like ${this.escapeHtml(movie.title)}</h3>
+            <div class="movie-genres">${this.getGenreNames(movie.genres)}</div>
+            <table>
+                <thead>
+                    <tr>
+                        ${modelNames.map(name => `<th>Nearest Movies (${this.getModelLabel(name)})</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        const maxRows = Math.max(...modelNames.map(name => neighboursByModel[name].length));
+        for (let i = 0; i < maxRows; i++) {
+            html += '<tr>';
+            for (const name of modelNames) {
+                const neighbour = neighboursByModel[name][i];
+                html += neighbour ? `
+                    <td>
+                        <div class="movie-title">${this.escapeHtml(neighbour.title)}</div>
+                        <div class="movie-genres">Cosine: ${neighbour.score.toFixed(4)} | ${this.getGenreNames(neighbour.genres)}</div>
+                    </td>
+                ` : '<td></td>';
+            }
+            html += '</tr>';
         }
 
-        try {
-            this.isTraining = true;
-            this.trainBtn.disabled = true;
-            this.updateStatus('Training models...');
+        html += '</tbody></table>';
+        this.similarResultsEl.innerHTML = html;
+    }
 
-            const config = this.getTrainingConfig();
-            this.lossHistory = { baseline: [], deep: [] };
+    getReranker(index) {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isNaN(value) ? null : value;
+        };
+        const excludedEl = document.getElementById('rerankExcludeGenres');
+        const method = document.getElementById('rerankMethod').value;
+        // Classical references have no item embeddings, so MMR leaves them with the hard filters only
+        const embeddings = index.embeddings ? index.embeddings.dataSync() : null;
+        return new Reranker(this.data, embeddings, {
+            method: embeddings || method !== 'mmr' ? method : 'none',
+            strength: Math.min(1, Math.max(0, number('rerankStrength') ?? 0.3)),
+            yearFrom: number('rerankYearFrom'),
+            yearTo: number('rerankYearTo'),
+            excludedGenres: Array.from(excludedEl.selectedOptions || [], option => parseInt(option.value)),
+            minRatings: number('rerankMinRatings') || 0
+        });
+    }
 
-            // Initialize models
-            const trainBaseline = document.getElementById('trainBaseline').value === 'yes';
-            
-            if (trainBaseline) {
-                this.baselineModel = new TwoTowerBaseline(
-                    this.data.numUsers, 
-                    this.data.numItems, 
-                    config.embeddingDim
-                );
-            }
-            
-            this.deepModel = new TwoTowerDeep(
-                this.data.numUsers,
-                this.data.numItems,
-                config.embeddingDim,
-                config.hiddenDim,
-                this.data.genreDim
-            );
+    async generateRecommendations(model, userId, candidateItems, modelType, k = 10) {
+        const index = this.getItemIndex(model, modelType);
+        const userIndex = this.data.userIdToIndex.get(userId);
 
-            // Train models
-            if (trainBaseline) {
-                await this.trainModel(this.baselineModel, 'baseline', config);
+        // Everything outside the candidate list is masked out of the top-k
+        const candidateIds = new Set(candidateItems.map(item => item.id));
+        const excluded = [];
+        for (let i = 0; i < this.data.numItems; i++) {
+            if (!candidateIds.has(this.data.indexToItemId[i])) {
+                excluded.push(i);
             }
-            await this.trainModel(this.deepModel, 'deep', config);
-
-            // Draw PCA visualization
-            await this.drawItemEmbeddingsPCA();
+        }
 
-            this.updateStatus('Training completed! Click Test to see recommendations.');
-            this.trainBtn.disabled = false;
-            this.isTraining = false;
+        if (document.getElementById('retrievalMode').value === 'ivf' && index.embeddings) {
+            const ann = this.getAnnIndex(model, modelType);
+            const userEmb = index.userEmbeddings([userIndex]);
+            const query = userEmb.dataSync();
+            userEmb.dispose();
 
-        } catch (error) {
-            this.updateStatus(`Training error: ${error.message}`);
-            this.trainBtn.disabled = false;
-            this.isTraining = false;
+            const { results } = ann.search(query, k, ann.numProbes, new Set(excluded));
+            return results.map(({ index: itemIndex, score }) => ({
+                ...this.data.items.get(this.data.indexToItemId[itemIndex]),
+                score
+            }));
         }
+
+        const [ranked] = await index.recommend([userIndex], k, [excluded]);
+        return ranked.map(({ itemId, score }) => ({
+            ...this.data.items.get(itemId),
+            score
+        }));
     }
 
-    async trainModel(model, modelName, config) {
-        const optimizer = tf.train.adam(config.learningRate);
-        const trainer = new TwoTowerTrainer(model, optimizer, config.lossType);
-        
-        const numBatches = Math.ceil(this.data.ratings.length / config.batchSize);
-        
-        for (let epoch = 0; epoch < config.epochs; epoch++) {
-            let epochLoss = 0;
-            let batches = 0;
-            
-            // Shuffle ratings for each epoch
-            const shuffledRatings = [...this.data.ratings];
-            this.shuffleArray(shuffledRatings);
-            
-            for (let i = 0; i < shuffledRatings.length; i += config.batchSize) {
-                const batchRatings = shuffledRatings.slice(i, i + config.batchSize);
-                
-                // Prepare batch tensors
-                const userBatch = [];
-                const itemBatch = [];
-                const genresBatch = [];
-                
-                for (const rating of batchRatings) {
-                    userBatch.push(this.data.userIdToIndex.get(rating.userId));
-                    itemBatch.push(this.data.itemIdToIndex.get(rating.itemId));
-                    
-                    if (modelName === 'deep') {
-                        const item = this.data.items.get(rating.itemId);
-                        genresBatch.push(item.genres);
-                    }
-                }
-                
-                const userTensor = tf.tensor2d(userBatch, [batchRatings.length, 1], 'int32');
-                const itemTensor = tf.tensor2d(itemBatch, [batchRatings.length, 1], 'int32');
-                let genresTensor = null;
-                
-                if (modelName === 'deep' && genresBatch.length > 0) {
-                    genresTensor = tf.tensor2d(genresBatch, [batchRatings.length, this.data.genreDim], 'float32');
-                }
-                
-                const loss = await trainer.trainStep(userTensor, itemTensor, genresTensor);
-                
-                epochLoss += loss;
-                batches++;
-                
-                // Update loss history and chart
-                this.lossHistory[modelName].push(loss);
-                this.updateLossChart();
-                
-                // Clean up tensors
-                tf.dispose([userTensor, itemTensor]);
-                if (genresTensor) tf.dispose(genresTensor);
-                
-                if (batches % 10 === 0) {
-                    this.updateStatus(`Training ${modelName} - Epoch ${epoch + 1}/${config.epochs}, Batch ${batches}/${numBatches}, Loss: ${loss.toFixed(4)}`);
-                }
-                
-                await tf.nextFrame(); // Allow UI updates
-            }
-            
-            epochLoss /= batches;
-            console.log(`${modelName} Epoch ${epoch + 1}, Average Loss: ${epochLoss.toFixed(4)}`);
+    getAnnOptions() {
+        return {
+            numLists: parseInt(document.getElementById('annLists').value) || 32,
+            numProbes: parseInt(document.getElementById('annProbes').value) || 4
+        };
+    }
+
+    getAnnIndex(model, modelType) {
+        const options = this.getAnnOptions();
+        const index = this.getItemIndex(model, modelType);
+        let ann = this.annIndexes[modelType];
+        if (!ann || ann.source !== index || ann.numLists !== Math.min(options.numLists, index.numItems)) {
+            ann = IVFIndex.fromItemIndex(index, options);
+            ann.source = index;
+            this.annIndexes[modelType] = ann;
         }
+        ann.numProbes = options.numProbes;
+        return ann;
     }
 
-    async testModels() {
-        if (!this.data || (!this.baselineModel && !this.deepModel)) {
+    async benchmarkAnn() {
+        if (!this.hasTrainedModels()) {
             this.updateStatus('Please train models first');
             return;
         }
 
         try {
-            this.updateStatus('Generating recommendations...');
+            this.benchmarkAnnBtn.disabled = true;
+            const k = parseInt(document.getElementById('evalK').value) || 10;
+            const rows = [];
 
-            // Find a user with at least 20 ratings
-            const eligibleUsers = Array.from(this.data.userRatings.entries())
-                .filter(([_, ratings]) => ratings.length >= 20)
-                .map(([userId]) => userId);
-            
-            if (eligibleUsers.length === 0) {
-                this.updateStatus('No users with sufficient ratings found');
-                return;
-            }
+            const models = this.getTrainedModels();
 
-            const randomUser = eligibleUsers[Math.floor(Math.random() * eligibleUsers.length)];
-            const userRatings = this.data.userRatings.get(randomUser);
-            
-            // Get top 10 rated movies (historical)
-            const topRated = userRatings
-                .sort((a, b) => b.rating - a.rating || b.timestamp - a.timestamp)
-                .slice(0, 10)
-                .map(r => ({
-                    itemId: r.itemId,
-                    rating: r.rating,
-                    ...this.data.items.get(r.itemId)
-                }));
-
-            // Generate recommendations (exclude already rated items)
-            const ratedItemIds = new Set(userRatings.map(r => r.itemId));
-            const unratedItems = Array.from(this.data.items.values())
-                .filter(item => !ratedItemIds.has(item.id));
+            for (const { name, model } of models) {
+                this.updateStatus(`Building IVF index for ${name}...`);
+                await tf.nextFrame();
 
-            // Get baseline recommendations
-            let baselineRecs = [];
-            if (this.baselineModel) {
-                baselineRecs = await this.generateRecommendations(
-                    this.baselineModel, randomUser, unratedItems, 'baseline'
-                );
-            }
+                const buildStart = performance.now();
+                const ann = this.getAnnIndex(model, name);
+                const buildMs = performance.now() - buildStart;
 
-            // Get deep recommendations
-            const deepRecs = await this.generateRecommendations(
-                this.deepModel, randomUser, unratedItems, 'deep'
-            );
+                // Every user vector is a query
+                const userIndices = Array.from({ length: this.data.numUsers }, (_, i) => i);
+                const userEmbs = this.getItemIndex(model, name).userEmbeddings(userIndices);
+                const queries = userEmbs.dataSync();
+                userEmbs.dispose();
 
-            // Render comparison table
-            this.renderComparisonTable(randomUser, topRated, baselineRecs, deepRecs);
-            
-            this.updateStatus(`Recommendations generated for user ${randomUser}`);
+                // Sweep probe counts up to the configured one (and one full scan)
+                const probeSettings = new Set([1, 2, 4, 8, ann.numProbes, ann.numLists]);
+                for (const numProbes of [...probeSettings].filter(p => p <= ann.numLists).sort((a, b) => a - b)) {
+                    this.updateStatus(`Benchmarking ${name} IVF with ${numProbes} probe(s)...`);
+                    await tf.nextFrame();
+                    rows.push({ model: name, buildMs, ...ann.measureRecall(queries, this.data.numUsers, k, numProbes) });
+                }
+            }
+
+            this.renderAnnReport(rows);
+            this.updateStatus('ANN benchmark completed');
 
         } catch (error) {
-            this.updateStatus(`Testing error: ${error.message}`);
+            this.updateStatus(`ANN benchmark error: ${error.message}`);
+        } finally {
+            this.benchmarkAnnBtn.disabled = false;
         }
     }
 
-    async generateRecommendations(model, userId, candidateItems, modelType) {
-        const userIndex = this.data.userIdToIndex.get(userId);
-        const userTensor = tf.tensor2d([userIndex], [1, 1], 'int32');
-        
-        try {
-            const scores = [];
-            
-            // Score items in batches to avoid memory issues
-            const batchSize = 100;
-            for (let i = 0; i < candidateItems.length; i += batchSize) {
-                const batchItems = candidateItems.slice(i, i + batchSize);
-                const itemIndices = batchItems.map(item => this.data.itemIdToIndex.get(item.id));
-                const itemTensor = tf.tensor2d(itemIndices, [batchItems.length, 1], 'int32');
-                
-                let predictions;
-                if (modelType === 'deep') {
-                    const genreVectors = batchItems.map(item => item.genres);
-                    const genresTensor = tf.tensor2d(genreVectors, [batchItems.length, this.data.genreDim], 'float32');
-                    predictions = model.predict(userTensor, itemTensor, genresTensor);
-                    tf.dispose(genresTensor);
-                } else {
-                    predictions = model.predict(userTensor, itemTensor);
-                }
-                
-                const scoreValues = await predictions.data();
-                
-                for (let j = 0; j < batchItems.length; j++) {
-                    scores.push({
-                        ...batchItems[j],
-                        score: scoreValues[j]
-                    });
-                }
-                
-                tf.dispose([itemTensor, predictions]);
-                await tf.nextFrame();
-            }
-            
-            // Return top 10 by score
-            return scores
-                .sort((a, b) => b.score - a.score)
-                .slice(0, 10);
-                
-        } finally {
-            tf.dispose(userTensor);
+    renderAnnReport(rows) {
+        let html = `
+            <h3>IVF Recall vs. Exact Search</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Model</th>
+                        <th>Lists</th>
+                        <th>Probes</th>
+                        <th>Recall@${rows[0]?.k ?? 10}</th>
+                        <th>Items Scanned / Query</th>
+                        <th>IVF ms / Query</th>
+                        <th>Exact ms / Query</th>
+                        <th>Build ms</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (const row of rows) {
+            html += `
+                <tr>
+                    <td class="movie-title">${this.escapeHtml(row.model)}</td>
+                    <td>${row.numLists}</td>
+                    <td>${row.numProbes}</td>
+                    <td>${row.recall.toFixed(4)}</td>
+                    <td>${row.avgScanned.toFixed(0)}</td>
+                    <td>${row.annMsPerQuery.toFixed(3)}</td>
+                    <td>${row.exactMsPerQuery.toFixed(3)}</td>
+                    <td>${row.buildMs.toFixed(0)}</td>
+                </tr>
+            `;
         }
+
+        html += '</tbody></table>';
+        this.annReportEl.innerHTML = html;
+    }
+
+    // Classical references rank by themselves, so they are their own index
+    getItemIndex(model, modelType) {
+        if (this.classicalModels[modelType] === model) return model;
+        let index = this.itemIndexes[modelType];
+        if (!index || index.model !== model) {
+            if (index) index.dispose();
+            index = new ItemEmbeddingIndex(model, modelType, this.data).build();
+            this.itemIndexes[modelType] = index;
+        }
+        return index;
     }
 
-    renderComparisonTable(userId, topRated, baselineRecs, deepRecs) {
+    // beforeByModel (optional): each model's retrieval order, shown next to its re-ranked list
+    renderComparisonTable(userId, topRated, recsByModel, heading = `User ${userId}`, beforeByModel = null) {
+        const columns = [];
+        for (const name of Object.keys(recsByModel)) {
+            if (beforeByModel) {
+                columns.push({ label: `Before Re-ranking (${this.getModelLabel(name)})`, recs: beforeByModel[name] });
+                columns.push({ label: `After Re-ranking (${this.getModelLabel(name)})`, recs: recsByModel[name], showMove: true });
+            } else {
+                columns.push({ label: `Top 10 Recommended (${this.getModelLabel(name)})`, recs: recsByModel[name] });
+            }
+        }
+
         let html = `
-            <h3>User ${userId} - Recommendation Comparison</h3>
+            <h3>${this.escapeHtml(heading)} - Recommendation Comparison</h3>
             <table>
                 <thead>
                     <tr>
                         <th>Top 10 Rated (Historical)</th>
-                        ${this.baselineModel ? '<th>Top 10 Recommended (Baseline)</th>' : ''}
-                        <th>Top 10 Recommended (Deep)</th>
+                        ${columns.map(column => `<th>${column.label}</th>`).join('')}
                     </tr>
                 </thead>
                 <tbody>
         `;
 
-        const maxRows = Math.max(topRated.length, baselineRecs.length, deepRecs.length);
+        const maxRows = Math.max(topRated.length, ...columns.map(column => column.recs.length));
         
         for (let i = 0; i < maxRows; i++) {
             html += '<tr>';
@@ -425,14 +1803,16 @@ class MovieRecommenderApp {
                 html += '<td></td>';
             }
             
-            // Baseline recommendations column
-            if (this.baselineModel) {
-                if (i < baselineRecs.length) {
-                    const movie = baselineRecs[i];
+            // One recommendations column per model (two with re-ranking)
+            for (const column of columns) {
+                if (i < column.recs.length) {
+                    const movie = column.recs[i];
+                    const move = column.showMove ? ` | was #${movie.retrievalRank}` : '';
                     html += `
                         <td>
                             <div class="movie-title">${this.escapeHtml(movie.title)}</div>
-                            <div class="movie-genres">Score: ${movie.score.toFixed(4)} | ${this.getGenreNames(movie.genres)}</div>
+                            <div class="movie-genres">Score: ${movie.score.toFixed(4)}${move} | ${this.getGenreNames(movie.genres)}</div>
+                            ${this.renderExplanation(movie.explanation)}
                         </td>
                     `;
                 } else {
@@ -440,19 +1820,6 @@ class MovieRecommenderApp {
                 }
             }
             
-            // Deep recommendations column
-            if (i < deepRecs.length) {
-                const movie = deepRecs[i];
-                html += `
-                    <td>
-                        <div class="movie-title">${this.escapeHtml(movie.title)}</div>
-                        <div class="movie-genres">Score: ${movie.score.toFixed(4)} | ${this.getGenreNames(movie.genres)}</div>
-                    </td>
-                `;
-            } else {
-                html += '<td></td>';
-            }
-            
             html += '</tr>';
         }
         
@@ -460,103 +1827,372 @@ class MovieRecommenderApp {
         this.comparisonEl.innerHTML = html;
     }
 
-    async drawItemEmbeddingsPCA() {
-        if (!this.deepModel) return;
+    // Attaches a "Why?" explanation to every recommendation in lists (history: [{ itemIndex, rating }])
+    async explainRecommendations(index, history, lists) {
+        const recs = [...new Map(lists.flat().map(rec => [rec.id, rec])).values()];
+        const explanations = await new RecommendationExplainer(index, this.data, history).explain(recs);
+        const byItemId = new Map(recs.map((rec, i) => [rec.id, explanations[i]]));
+        lists.flat().forEach(rec => { rec.explanation = byItemId.get(rec.id); });
+    }
+
+    renderExplanation(explanation) {
+        if (!explanation) return '';
+        const percent = value => `${(value * 100).toFixed(0)}%`;
+        const parts = [];
+
+        if (explanation.neighbors) {
+            const rows = explanation.neighbors.map(neighbor => `
+                <li>${this.escapeHtml(this.data.items.get(neighbor.itemId).title)} (rated ${neighbor.rating}/5):
+                    similarity ${neighbor.similarity.toFixed(3)}, ${percent(neighbor.contribution)} of the history's pull</li>
+            `).join('');
+            parts.push(`<div>Closest rated movies in embedding space:</div><ul>${rows}</ul>`);
+        }
+
+        const { shared, unseen, historySize } = explanation.genres;
+        parts.push(`<div>Shared genres: ${shared.length > 0 ?
+            shared.map(genre => `${this.escapeHtml(genre.name)} (${genre.count} of ${historySize} rated)`).join(', ') :
+            'none'}</div>`);
+        if (unseen.length > 0) {
+            parts.push(`<div>Genres new to this user: ${unseen.map(name => this.escapeHtml(name)).join(', ')}</div>`);
+        }
+
+        if (explanation.towerInputs) {
+            const labels = { id: 'ID embedding', genres: 'genre projection', year: 'release year', title: 'title words' };
+            parts.push(`<div>Item vector: ${Object.entries(explanation.towerInputs)
+                .map(([name, share]) => `${labels[name]} ${percent(share)}`).join(', ')}</div>`);
+        }
+
+        return `<details class="movie-genres"><summary>Why?</summary>${parts.join('')}</details>`;
+    }
+
+    // Coverage, popularity bias, novelty, diversity and genre calibration of every user's top-K list
+    async reportBeyondAccuracy() {
+        if (!this.hasRankingModels()) {
+            this.updateStatus('Please train models first');
+            return;
+        }
 
         try {
-            // Get item embeddings from deep model
-            const allItemIndices = Array.from({ length: this.data.numItems }, (_, i) => i);
-            const itemTensor = tf.tensor2d(allItemIndices, [this.data.numItems, 1], 'int32');
-            
-            // Get genre vectors for all items
-            const genreVectors = [];
-            for (let i = 0; i < this.data.numItems; i++) {
-                const itemId = this.data.indexToItemId[i];
-                const item = this.data.items.get(itemId);
-                genreVectors.push(item.genres);
+            this.beyondAccuracyBtn.disabled = true;
+            const k = parseInt(document.getElementById('evalK').value) || 10;
+
+            const results = {};
+            for (const { name, model } of this.getRankingModels()) {
+                this.updateStatus(`Computing beyond-accuracy metrics for ${name}...`);
+                results[name] = await TwoTowerPipeline.beyondAccuracy(this.getItemIndex(model, name), this.data, k, this.split);
+                await tf.nextFrame();
             }
-            const genresTensor = tf.tensor2d(genreVectors, [this.data.numItems, this.data.genreDim], 'float32');
-            
-            const itemEmbs = this.deepModel.itemForward(itemTensor, genresTensor);
-            
-            // Compute PCA to 2D
-            const pcaResult = await this.computePCA(await itemEmbs.array(), 2);
-            
-            // Draw scatter plot
-            this.drawScatterPlot(pcaResult);
-            
-            tf.dispose([itemTensor, genresTensor, itemEmbs]);
-            
+
+            this.renderBeyondAccuracyTable(results);
+            this.updateStatus(`Beyond-accuracy report for ${Object.values(results)[0].numUsers} users' top-${k} lists`);
+
         } catch (error) {
-            console.error('PCA error:', error);
+            this.updateStatus(`Beyond-accuracy error: ${error.message}`);
+        } finally {
+            this.beyondAccuracyBtn.disabled = false;
         }
     }
 
-    async computePCA(data, components = 2) {
-        return tf.tidy(() => {
-            const X = tf.tensor2d(data);
-            
-            // Center the data
-            const mean = tf.mean(X, 0);
-            const centered = X.sub(mean);
-            
-            // Compute covariance matrix
-            const covariance = tf.matMul(centered.transpose(), centered).div(X.shape[0] - 1);
-            
-            // Compute eigenvalues and eigenvectors
-            const [eigenvalues, eigenvectors] = tf.linalg.eigh(covariance);
-            
-            // Get top components
-            const topIndices = Array.from({ length: components }, (_, i) => eigenvectors.shape[1] - 1 - i);
-            const topVectors = tf.gather(eigenvectors, topIndices, 1).transpose();
-            
-            // Project data
-            const projected = tf.matMul(centered, topVectors);
-            
-            return projected.arraySync();
+    renderBeyondAccuracyTable(results) {
+        const k = Object.values(results)[0]?.k ?? 10;
+        const columns = [
+            ['coverage', 'Catalog Coverage', v => `${(v * 100).toFixed(1)}%`],
+            ['gini', 'Exposure Gini', v => v.toFixed(4)],
+            ['avgPopularity', 'Avg. Popularity (ratings)', v => v.toFixed(1)],
+            ['novelty', 'Novelty (bits)', v => v.toFixed(3)],
+            ['ildGenre', 'Diversity (genres)', v => v.toFixed(4)],
+            ['ildEmbedding', 'Diversity (embeddings)', v => v === null ? '-' : v.toFixed(4)],
+            ['genreKL', 'Genre Miscalibration (KL)', v => v.toFixed(4)]
+        ];
+
+        let html = `
+            <h3>Beyond Accuracy (top-${k} lists)</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Model</th>
+                        ${columns.map(([, label]) => `<th>${label}</th>`).join('')}
+                        <th>Users</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (const [name, metrics] of Object.entries(results)) {
+            html += `
+                <tr>
+                    <td class="movie-title">${this.escapeHtml(name)}</td>
+                    ${columns.map(([key, , format]) => `<td>${format(metrics[key])}</td>`).join('')}
+                    <td>${metrics.numUsers}</td>
+                </tr>
+            `;
+        }
+
+        html += `</tbody></table>
+            <div class="movie-genres">Higher coverage and novelty and a lower Gini mean less popularity bias.
+            Diversity is the mean pairwise cosine distance within a list; KL compares each user's historical genre mix
+            with their recommended one (lower is better calibrated).</div>`;
+        this.beyondAccuracyEl.innerHTML = html;
+    }
+
+    renderMetricsTable(results) {
+        const k = Object.values(results)[0]?.k ?? 10;
+        const columns = [
+            ['recall', `Recall@${k}`],
+            ['ndcg', `NDCG@${k}`],
+            ['map', `MAP@${k}`],
+            ['mrr', 'MRR'],
+            ['hitRate', `Hit Rate@${k}`]
+        ];
+        // Rating-head models also report rating prediction error on the held-out ratings
+        if (Object.values(results).some(metrics => metrics.rmse !== undefined)) {
+            columns.push(['rmse', 'RMSE'], ['mae', 'MAE']);
+        }
+
+        let html = `
+            <h3>Offline Evaluation (${this.escapeHtml(this.split.mode)} split)</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Model</th>
+                        ${columns.map(([, label]) => `<th>${label}</th>`).join('')}
+                        <th>Users</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (const [name, metrics] of Object.entries(results)) {
+            html += `
+                <tr>
+                    <td class="movie-title">${this.escapeHtml(name)}</td>
+                    ${columns.map(([key]) => `<td>${this.formatMetric(metrics[key])}</td>`).join('')}
+                    <td>${metrics.numUsers}</td>
+                </tr>
+            `;
+        }
+
+        html += '</tbody></table>';
+        this.metricsEl.innerHTML = html;
+    }
+
+    // Re-projects the selected tower's item embeddings; projections are cached per index, method and user
+    async updateEmbeddingExplorer() {
+        const trained = this.getTrainedModels();
+        const selected = this.explorerModelEl.value;
+        this.explorerModelEl.innerHTML = trained
+            .map(({ name }) => `<option value="${name}">${this.getModelLabel(name)}</option>`)
+            .join('');
+        const entry = trained.find(({ name }) => name === selected) ||
+            trained.find(({ name }) => name === 'deep') || trained[0];
+        this.explorerShowUserBtn.disabled = !entry;
+        this.explorerClearUserBtn.disabled = !entry || this.explorerUserId === null;
+        if (!entry) {
+            this.explorer.render(null);
+            return;
+        }
+        this.explorerModelEl.value = entry.name;
+
+        // A newer request (e.g. the user switching projection mid t-SNE) supersedes this one
+        const version = ++this.explorerVersion;
+        const method = this.explorerProjectionEl.value;
+        const userId = this.explorerUserId;
+
+        try {
+            const index = this.getItemIndex(entry.model, entry.name);
+            const cacheKey = `${entry.name}|${method}|${userId ?? ''}`;
+            let cached = this.projectionCache[cacheKey];
+            if (!cached || cached.index !== index) {
+                const coords = await this.projectEmbeddings(index, method, userId, version);
+                if (version !== this.explorerVersion) return;
+                cached = { index, coords };
+                this.projectionCache[cacheKey] = cached;
+            }
+
+            const highlights = userId !== null ? await this.getExplorerHighlights(entry, userId) : null;
+            if (version !== this.explorerVersion) return;
+            this.explorer.render({
+                ...this.getExplorerPoints(this.explorerColorEl.value, userId),
+                coords: cached.coords,
+                highlights,
+                title: `${this.getModelLabel(entry.name)} item tower, ${{ pca: 'PCA', tsne: 't-SNE', umap: 'UMAP' }[method]}`
+            });
+        } catch (error) {
+            this.updateStatus(`Embedding explorer error: ${error.message}`);
+        }
+    }
+
+    // Item rows first; the overlaid user's vector, if any, is the last row
+    async projectEmbeddings(index, method, userId, version) {
+        const numItems = this.data.numItems;
+        const dim = index.embeddings.shape[1];
+        const itemValues = index.embeddings.dataSync();
+        let userValues = null;
+        if (userId !== null) {
+            const userEmb = index.userEmbeddings([this.data.userIdToIndex.get(userId)]);
+            userValues = userEmb.dataSync();
+            userEmb.dispose();
+        }
+
+        // PCA is fitted on items only, so showing a user does not move the movies
+        if (method === 'pca') {
+            const { projected, mean, basis } = EmbeddingProjector.pca(itemValues, numItems, dim);
+            if (!userValues) return projected;
+            const coords = new Float64Array((numItems + 1) * 2);
+            coords.set(projected);
+            coords.set(EmbeddingProjector.applyBasis(userValues, 1, dim, mean, basis), numItems * 2);
+            return coords;
+        }
+
+        // Large catalogs: lay out only the most-rated items; the rest get NaN coordinates and are not drawn
+        let rows = Array.from({ length: numItems }, (_, i) => i);
+        if (numItems > EmbeddingProjector.MAX_POINTS) {
+            const popularity = BeyondAccuracyMetrics.itemPopularity(this.data);
+            rows = rows
+                .sort((a, b) => popularity[b] - popularity[a])
+                .slice(0, EmbeddingProjector.MAX_POINTS)
+                .sort((a, b) => a - b);
+        }
+        if (userValues) rows.push(numItems);
+
+        const n = rows.length;
+        const vectors = new Float32Array(n * dim);
+        rows.forEach((row, i) => {
+            vectors.set(row < numItems ? itemValues.subarray(row * dim, (row + 1) * dim) : userValues, i * dim);
+        });
+
+        const label = method === 'tsne' ? 't-SNE' : 'UMAP';
+        const projected = await EmbeddingProjector.project(method, vectors, n, dim, {
+            onProgress: async (fraction) => {
+                if (version === this.explorerVersion) {
+                    this.updateStatus(`Computing ${label} projection... ${Math.round(fraction * 100)}%`);
+                }
+                await tf.nextFrame();
+            }
         });
+        const coords = new Float64Array((numItems + (userValues ? 1 : 0)) * 2).fill(NaN);
+        rows.forEach((row, i) => {
+            coords[row * 2] = projected[i * 2];
+            coords[row * 2 + 1] = projected[i * 2 + 1];
+        });
+        if (version === this.explorerVersion) {
+            const shown = rows.length < coords.length / 2 ?
+                ` (the ${EmbeddingProjector.MAX_POINTS} most-rated of ${numItems} movies)` : '';
+            this.updateStatus(`${label} projection ready${shown}. Hover a point to see the movie.`);
+        }
+        return coords;
     }
 
-    drawScatterPlot(points) {
-        const width = this.pcaCanvas.width;
-        const height = this.pcaCanvas.height;
-        const padding = 40;
-        
-        // Clear canvas
-        this.pcaCtx.clearRect(0, 0, width, height);
-        
-        // Find bounds
-        const xValues = points.map(p => p[0]);
-        const yValues = points.map(p => p[1]);
-        const xMin = Math.min(...xValues);
-        const xMax = Math.max(...xValues);
-        const yMin = Math.min(...yValues);
-        const yMax = Math.max(...yValues);
-        
-        // Scale function
-        const scaleX = (x) => padding + (x - xMin) / (xMax - xMin) * (width - 2 * padding);
-        const scaleY = (y) => height - padding - (y - yMin) / (yMax - yMin) * (height - 2 * padding);
-        
-        // Draw points
-        this.pcaCtx.fillStyle = 'rgba(74, 144, 226, 0.6)';
-        for (const point of points) {
-            const x = scaleX(point[0]);
-            const y = scaleY(point[1]);
-            this.pcaCtx.beginPath();
-            this.pcaCtx.arc(x, y, 3, 0, 2 * Math.PI);
-            this.pcaCtx.fill();
+    // Per-point labels and colors plus the legend for the current coloring
+    getExplorerPoints(colorBy, userId) {
+        const labels = [];
+        const colors = [];
+        let legend;
+
+        if (colorBy === 'decade') {
+            const decades = Array.from(this.data.items.values())
+                .filter(item => item.year)
+                .map(item => Math.floor(item.year / 10) * 10);
+            const first = Math.min(...decades);
+            const last = Math.max(...decades);
+            const colorFor = (decade) => decade === null ? '#999' :
+                `hsl(${Math.round(240 - 240 * (decade - first) / ((last - first) || 1))}, 70%, 50%)`;
+            legend = [];
+            for (let decade = first; decade <= last; decade += 10) {
+                legend.push({ label: `${decade}s`, color: colorFor(decade) });
+            }
+            legend.push({ label: 'Unknown', color: colorFor(null) });
+
+            for (const itemId of this.data.indexToItemId) {
+                const item = this.data.items.get(itemId);
+                labels.push(`${item.title} (${item.year ? `${Math.floor(item.year / 10) * 10}s` : 'year unknown'})`);
+                colors.push(colorFor(item.year ? Math.floor(item.year / 10) * 10 : null));
+            }
+        } else {
+            // Primary genre = first listed genre other than a placeholder; vocabularies are sorted
+            // for some formats, so the placeholder is found by name, not position
+            const genreNames = this.getGenreList();
+            const placeholders = new Set(['unknown', '(no genres listed)']);
+            const colorFor = (g) => g < 0 ? '#999' : `hsl(${Math.round(g * 360 / genreNames.length)}, 65%, 50%)`;
+            const used = new Set();
+            for (const itemId of this.data.indexToItemId) {
+                const item = this.data.items.get(itemId);
+                let primary = item.genres.findIndex((flag, g) => flag && !placeholders.has(genreNames[g]));
+                if (primary < 0) primary = item.genres.findIndex(flag => flag);
+                used.add(primary);
+                labels.push(`${item.title} (${this.getGenreNames(item.genres)})`);
+                colors.push(colorFor(primary));
+            }
+            legend = genreNames
+                .map((label, g) => ({ label, color: colorFor(g), g }))
+                .filter(({ g }) => used.has(g));
+            if (used.has(-1)) legend.push({ label: 'No genres', color: colorFor(-1) });
         }
-        
-        // Draw axes
-        this.pcaCtx.strokeStyle = '#ccc';
-        this.pcaCtx.lineWidth = 1;
-        this.pcaCtx.beginPath();
-        this.pcaCtx.moveTo(padding, padding);
-        this.pcaCtx.lineTo(padding, height - padding);
-        this.pcaCtx.lineTo(width - padding, height - padding);
-        this.pcaCtx.stroke();
-        
-        // Labels
-        this.pcaCtx.fillStyle = '#333';
-        this.pcaCtx.font = '12px Arial';
-        this.pcaCtx.fillText('PCA Component 1', width / 2,
+
+        if (userId !== null) {
+            labels.push(`User ${userId}`);
+            colors.push('#000');
+        }
+        return { labels, colors, legend };
+    }
+
+    // Marks the user's rated items and their top-10 unseen recommendations from the shown tower
+    async getExplorerHighlights(entry, userId) {
+        const highlights = new Map();
+        const ratedIds = new Set(this.data.userRatings.get(userId).map(r => r.itemId));
+        for (const itemId of ratedIds) {
+            highlights.set(this.data.itemIdToIndex.get(itemId), 'rated');
+        }
+
+        const unratedItems = Array.from(this.data.items.values()).filter(item => !ratedIds.has(item.id));
+        const recs = await this.generateRecommendations(entry.model, userId, unratedItems, entry.name);
+        for (const rec of recs) {
+            highlights.set(this.data.itemIdToIndex.get(rec.id), 'recommended');
+        }
+        highlights.set(this.data.numItems, 'user');
+        return highlights;
+    }
+
+    async showExplorerUser() {
+        const userId = this.parseId(this.explorerUserEl.value);
+        if (!this.data || !this.data.userRatings.has(userId)) {
+            this.updateStatus(`User ${this.explorerUserEl.value || '(none)'} has no ratings in the loaded data`);
+            return;
+        }
+        this.explorerUserId = userId;
+        await this.updateEmbeddingExplorer();
+        this.updateStatus(`Showing user ${userId} in the embedding explorer`);
+    }
+
+    getGenreList() {
+        return this.data ? this.data.genreNames : [];
+    }
+
+    // MovieLens ids are numbers, other datasets may use strings; empty input gives null
+    parseId(value) {
+        return value && value.trim() ? DatasetLoader.parseId(value) : null;
+    }
+
+    getGenreNames(genres) {
+        const genreNames = this.getGenreList();
+        const names = genres
+            .map((flag, i) => flag ? genreNames[i] : null)
+            .filter(name => name);
+        return names.length > 0 ? names.join(', ') : 'Unknown';
+    }
+
+    formatMetric(value) {
+        return value === undefined || value === null ? '-' : value.toFixed(4);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize app when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new MovieRecommenderApp();
+});
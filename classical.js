@@ -0,0 +1,341 @@
+// Non-neural reference recommenders: most-popular, item-kNN, EASE and implicit ALS
+// Fitted on the same training interactions as the towers; ClassicalRecommender exposes the
+// ItemEmbeddingIndex recommend() contract, so evaluation and the comparison table treat them alike
+
+class ClassicalRecommender {
+    static NAMES = ['popularity', 'itemknn', 'ease', 'als'];
+
+    // config: the training config; minPositiveRating and the knn/ease/als keys are read
+    constructor(name, data, config = {}) {
+        this.name = name;
+        this.data = data;
+        this.numItems = data.numItems;
+        this.indexToItemId = data.indexToItemId;
+        this.minPositiveRating = config.minPositiveRating || 1;
+        this.model = null; // no towers behind it
+        this.embeddings = null; // and no item embeddings (MMR, ANN and the explorer skip it)
+        this.histories = [];
+        this.scorer = ClassicalRecommender.createScorer(name, this.numItems, config);
+    }
+
+    static createScorer(name, numItems, config) {
+        if (name === 'popularity') return new PopularityScorer(numItems);
+        if (name === 'itemknn') return new ItemKnnScorer(numItems, { neighbors: config.knnNeighbors ?? 50 });
+        if (name === 'ease') return new EaseScorer(numItems, { lambda: config.easeLambda ?? 250 });
+        if (name === 'als') {
+            return new AlsScorer(numItems, {
+                factors: config.alsFactors ?? 32,
+                iterations: config.alsIterations ?? 10,
+                regularization: config.alsRegularization ?? 0.1,
+                alpha: config.alsAlpha ?? 10
+            });
+        }
+        throw new Error(`Unknown classical recommender: ${name}`);
+    }
+
+    // ratings: the training interactions; those below minPositiveRating are ignored
+    async fit(ratings) {
+        const seen = Array.from({ length: this.data.numUsers }, () => new Set());
+        for (const rating of ratings) {
+            if (rating.rating < this.minPositiveRating) continue;
+            seen[this.data.userIdToIndex.get(rating.userId)].add(this.data.itemIdToIndex.get(rating.itemId));
+        }
+        this.histories = seen.map(items => Int32Array.from(items));
+        await this.scorer.fit(this.histories);
+        return this;
+    }
+
+    // userIndices: number[], excluded: Array<Iterable<itemIndex>> per user (or null)
+    // Returns per user a ranked array of { itemIndex, itemId, score }, like ItemEmbeddingIndex
+    async recommend(userIndices, k, excluded = null) {
+        const results = [];
+        for (let b = 0; b < userIndices.length; b++) {
+            const userIndex = userIndices[b];
+            const scores = this.scorer.score(this.histories[userIndex], userIndex);
+            results.push(this.rank(scores, k, excluded ? excluded[b] : null));
+            if (b % 200 === 199) await tf.nextFrame();
+        }
+        return results;
+    }
+
+    // Ranks from an arbitrary history of item indices, e.g. an edited one; the history itself is excluded
+    recommendHistory(itemIndices, k, excluded = []) {
+        const scores = this.scorer.score(Int32Array.from(itemIndices), null);
+        return this.rank(scores, k, [...itemIndices, ...excluded]);
+    }
+
+    rank(scores, k, excluded) {
+        const blocked = new Set(excluded || []);
+        const order = [];
+        for (let i = 0; i < scores.length; i++) {
+            if (!blocked.has(i)) order.push(i);
+        }
+        order.sort((a, b) => scores[b] - scores[a] || a - b);
+        return order.slice(0, k).map(itemIndex => ({
+            itemIndex,
+            itemId: this.indexToItemId[itemIndex],
+            score: scores[itemIndex]
+        }));
+    }
+
+    dispose() {
+        this.histories = [];
+    }
+}
+
+// Number of training users per item, the same list for everyone
+class PopularityScorer {
+    constructor(numItems) {
+        this.numItems = numItems;
+        this.counts = null;
+    }
+
+    async fit(histories) {
+        this.counts = new Float32Array(this.numItems);
+        for (const items of histories) {
+            for (const i of items) this.counts[i]++;
+        }
+    }
+
+    score() {
+        return Float32Array.from(this.counts);
+    }
+}
+
+// Cosine similarity between the items' user sets, pruned to each item's top neighbors;
+// a user's score for j sums the similarities of j to the items in their history
+class ItemKnnScorer {
+    constructor(numItems, { neighbors = 50 } = {}) {
+        this.numItems = numItems;
+        this.neighbors = neighbors > 0 ? Math.min(neighbors, numItems - 1) : numItems - 1;
+        this.neighborIndex = null; // [numItems * neighbors] item indices
+        this.neighborSim = null; // [numItems * neighbors] similarities
+    }
+
+    // One co-occurrence row at a time, so memory stays O(items * neighbors)
+    async fit(histories) {
+        const usersByItem = Array.from({ length: this.numItems }, () => []);
+        histories.forEach((items, u) => {
+            for (const i of items) usersByItem[i].push(u);
+        });
+
+        const n = this.neighbors;
+        this.neighborIndex = new Int32Array(this.numItems * n).fill(-1);
+        this.neighborSim = new Float32Array(this.numItems * n);
+        const row = new Float32Array(this.numItems);
+        for (let i = 0; i < this.numItems; i++) {
+            row.fill(0);
+            for (const u of usersByItem[i]) {
+                for (const j of histories[u]) row[j]++;
+            }
+            row[i] = 0;
+
+            const candidates = [];
+            for (let j = 0; j < this.numItems; j++) {
+                if (row[j] === 0) continue;
+                row[j] /= Math.sqrt(usersByItem[i].length * usersByItem[j].length);
+                candidates.push(j);
+            }
+            candidates.sort((a, b) => row[b] - row[a] || a - b);
+            candidates.slice(0, n).forEach((j, slot) => {
+                this.neighborIndex[i * n + slot] = j;
+                this.neighborSim[i * n + slot] = row[j];
+            });
+            if (i % 100 === 99) await tf.nextFrame();
+        }
+    }
+
+    score(history) {
+        const scores = new Float32Array(this.numItems);
+        const n = this.neighbors;
+        for (const i of history) {
+            for (let slot = 0; slot < n; slot++) {
+                const j = this.neighborIndex[i * n + slot];
+                if (j < 0) break;
+                scores[j] += this.neighborSim[i * n + slot];
+            }
+        }
+        return scores;
+    }
+}
+
+// EASE (Steck, 2019): B = I - P / diag(P) with P = (X^T X + lambda I)^-1 and a zero diagonal;
+// scores are the history rows of B summed. Inverting an items x items matrix is O(items^3).
+class EaseScorer {
+    static MAX_ITEMS = 4000;
+
+    constructor(numItems, { lambda = 250 } = {}) {
+        this.numItems = numItems;
+        this.lambda = lambda;
+        this.weights = null; // [numItems * numItems], row i = item i's contribution to every item
+    }
+
+    async fit(histories) {
+        const n = this.numItems;
+        if (n > EaseScorer.MAX_ITEMS) {
+            throw new Error(`EASE inverts an items x items matrix; ${n} items is more than the ${EaseScorer.MAX_ITEMS} it supports here`);
+        }
+
+        // Gram matrix X^T X + lambda I
+        const p = new Float64Array(n * n);
+        for (const items of histories) {
+            for (const i of items) {
+                for (const j of items) p[i * n + j]++;
+            }
+        }
+        for (let i = 0; i < n; i++) p[i * n + i] += this.lambda;
+
+        await EaseScorer.invertInPlace(p, n);
+
+        this.weights = new Float32Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                this.weights[i * n + j] = i === j ? 0 : -p[i * n + j] / p[j * n + j];
+            }
+        }
+    }
+
+    // Gauss-Jordan without pivoting, safe for the symmetric positive definite Gram matrix
+    static async invertInPlace(a, n) {
+        for (let k = 0; k < n; k++) {
+            const rowK = k * n;
+            const inv = 1 / a[rowK + k];
+            a[rowK + k] = 1;
+            for (let j = 0; j < n; j++) a[rowK + j] *= inv;
+            for (let i = 0; i < n; i++) {
+                const factor = a[i * n + k];
+                if (i === k || factor === 0) continue;
+                const rowI = i * n;
+                a[rowI + k] = 0;
+                for (let j = 0; j < n; j++) a[rowI + j] -= factor * a[rowK + j];
+            }
+            if (k % 100 === 99) await tf.nextFrame();
+        }
+    }
+
+    score(history) {
+        const n = this.numItems;
+        const scores = new Float32Array(n);
+        for (const i of history) {
+            const row = i * n;
+            for (let j = 0; j < n; j++) scores[j] += this.weights[row + j];
+        }
+        return scores;
+    }
+}
+
+// Implicit-feedback ALS (Hu, Koren and Volinsky, 2008): every interaction has confidence 1 + alpha,
+// user and item factors are solved in turn by regularized least squares
+class AlsScorer {
+    constructor(numItems, { factors = 32, iterations = 10, regularization = 0.1, alpha = 10, seed = 42 } = {}) {
+        this.numItems = numItems;
+        this.factors = factors;
+        this.iterations = iterations;
+        this.regularization = regularization;
+        this.alpha = alpha;
+        this.seed = seed;
+        this.userFactors = null; // [numUsers * factors]
+        this.itemFactors = null; // [numItems * factors]
+    }
+
+    async fit(histories) {
+        const f = this.factors;
+        const random = SeededRandom.create(this.seed);
+        const usersByItem = Array.from({ length: this.numItems }, () => []);
+        histories.forEach((items, u) => {
+            for (const i of items) usersByItem[i].push(u);
+        });
+
+        this.userFactors = new Float64Array(histories.length * f);
+        this.itemFactors = Float64Array.from({ length: this.numItems * f }, () => (random() - 0.5) * 0.1);
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            this.solveAll(this.userFactors, this.itemFactors, histories);
+            this.solveAll(this.itemFactors, this.userFactors, usersByItem);
+            await tf.nextFrame();
+        }
+    }
+
+    // Re-solves every row of target against the fixed other side
+    solveAll(target, fixed, interactions) {
+        const gram = this.gram(fixed);
+        interactions.forEach((indices, row) => {
+            target.set(this.solveRow(gram, fixed, indices), row * this.factors);
+        });
+    }
+
+    // fixed^T fixed, shared by every row's system
+    gram(fixed) {
+        const f = this.factors;
+        const gram = new Float64Array(f * f);
+        for (let offset = 0; offset < fixed.length; offset += f) {
+            for (let a = 0; a < f; a++) {
+                const va = fixed[offset + a];
+                if (va === 0) continue;
+                for (let b = 0; b < f; b++) gram[a * f + b] += va * fixed[offset + b];
+            }
+        }
+        return gram;
+    }
+
+    // (G + alpha * sum y y^T + lambda I) x = (1 + alpha) * sum y over the row's interactions
+    solveRow(gram, fixed, indices) {
+        const f = this.factors;
+        const a = Float64Array.from(gram);
+        const b = new Float64Array(f);
+        for (const index of indices) {
+            const offset = index * f;
+            for (let p = 0; p < f; p++) {
+                const vp = fixed[offset + p];
+                b[p] += (1 + this.alpha) * vp;
+                for (let q = 0; q < f; q++) a[p * f + q] += this.alpha * vp * fixed[offset + q];
+            }
+        }
+        for (let p = 0; p < f; p++) a[p * f + p] += this.regularization;
+        return AlsScorer.choleskySolve(a, b, f);
+    }
+
+    // Known users use their fitted factors; other histories are folded in against the item factors
+    score(history, userIndex) {
+        const f = this.factors;
+        const user = userIndex !== null ?
+            this.userFactors.subarray(userIndex * f, (userIndex + 1) * f) :
+            this.solveRow(this.gram(this.itemFactors), this.itemFactors, history);
+        const scores = new Float32Array(this.numItems);
+        for (let i = 0; i < this.numItems; i++) {
+            let dot = 0;
+            for (let p = 0; p < f; p++) dot += user[p] * this.itemFactors[i * f + p];
+            scores[i] = dot;
+        }
+        return scores;
+    }
+
+    // a: symmetric positive definite [n * n], overwritten by its Cholesky factor
+    static choleskySolve(a, b, n) {
+        for (let j = 0; j < n; j++) {
+            let diagonal = a[j * n + j];
+            for (let k = 0; k < j; k++) diagonal -= a[j * n + k] * a[j * n + k];
+            const root = Math.sqrt(diagonal);
+            a[j * n + j] = root;
+            for (let i = j + 1; i < n; i++) {
+                let value = a[i * n + j];
+                for (let k = 0; k < j; k++) value -= a[i * n + k] * a[j * n + k];
+                a[i * n + j] = value / root;
+            }
+        }
+        // L y = b, then L^T x = y
+        const x = Float64Array.from(b);
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < i; k++) x[i] -= a[i * n + k] * x[k];
+            x[i] /= a[i * n + i];
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let k = i + 1; k < n; k++) x[i] -= a[k * n + i] * x[k];
+            x[i] /= a[i * n + i];
+        }
+        return x;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClassicalRecommender, PopularityScorer, ItemKnnScorer, EaseScorer, AlsScorer };
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+// Headless training and evaluation for nightly experiments
+// Usage: node cli.js train --model deep --loss bpr --epochs 10 --out model/
+
+const fs = require('fs');
+const path = require('path');
+
+// The shared modules expect tf and each other as globals, like the browser script tags
+try {
+    global.tf = require('@tensorflow/tfjs-node');
+} catch (error) {
+    console.warn('@tensorflow/tfjs-node not available, falling back to the pure JS backend (much slower)');
+    global.tf = require('@tensorflow/tfjs');
+}
+for (const file of ['random.js', 'data-loaders.js', 'data.js', 'two-tower.js', 'evaluation.js', 'item-index.js', 'classical.js', 'negative-sampling.js', 'model-store.js', 'pipeline.js']) {
+    Object.assign(global, require(path.join(__dirname, file)));
+}
+
+const USAGE = `Usage: node cli.js train [options]
+
+  --model <names>           comma-separated: baseline, deep, sequential, or the classical references
+                            popularity, itemknn, ease, als (fitted and evaluated, not saved); all = every one
+                            (default: deep)
+  --data <dir>              directory with the dataset files (default: .)
+  --format <name>           ml-100k | ml-1m | ml-latest | csv | jsonl (default: ml-100k)
+  --ratings-file <name>     interactions file name, if not the format's default (u.data, ratings.dat, ...)
+  --items-file <name>       item metadata file name, if not the format's default (u.item, movies.dat, ...)
+  --columns <mapping>       csv/jsonl fields, e.g. user=uid,item=sku,rating=,timestamp=ts
+                            (header names, JSON keys or 0-based column numbers; empty drops a field)
+  --delimiter <text>        csv field separator (default: ,; \t for tabs)
+  --out <dir>               where metrics.json and model.json are written (default: model)
+  --split <mode>            leave-last-out | temporal | cold-items | none (default: leave-last-out)
+  --k <n>                   cutoff for ranking metrics (default: 10)
+  --max-interactions <n>    only read the first n interactions (match the browser setting
+                            to upload model.json there)
+
+Training options (defaults match the browser controls):
+${Object.entries(TwoTowerPipeline.DEFAULT_CONFIG)
+        .map(([key, value]) => `  --${toKebabCase(key).padEnd(24)}${value}`)
+        .join('\n')}
+  --loss, --sampler and --encoder are short for --loss-type, --negative-sampler and --sequence-encoder`;
+
+const OPTION_ALIASES = {
+    loss: 'lossType',
+    sampler: 'negativeSampler',
+    encoder: 'sequenceEncoder'
+};
+
+function toKebabCase(key) {
+    return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function toCamelCase(flag) {
+    return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Values are coerced to the type of the matching default
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {
+        model: 'deep',
+        data: '.',
+        format: 'ml-100k',
+        ratingsFile: null,
+        itemsFile: null,
+        columns: null,
+        delimiter: ',',
+        out: 'model',
+        split: 'leave-last-out',
+        k: 10,
+        maxInteractions: null
+    };
+    const config = { ...TwoTowerPipeline.DEFAULT_CONFIG };
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag === '--help') {
+            return { command: 'help', options, config };
+        }
+        if (!flag.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${flag}`);
+        }
+        // Split on the first '=' only, so values such as --data ./runs/a=b keep theirs
+        const separator = flag.indexOf('=');
+        const name = separator < 0 ? flag.slice(2) : flag.slice(2, separator);
+        const inlineValue = separator < 0 ? undefined : flag.slice(separator + 1);
+        const value = inlineValue !== undefined ? inlineValue : rest[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${name}`);
+        }
+
+        const key = OPTION_ALIASES[name] || toCamelCase(name);
+        if (key in options) {
+            options[key] = typeof options[key] === 'number' || key === 'maxInteractions' ?
+                parseNumber(name, value) : value;
+        } else if (key in config) {
+            const defaultValue = TwoTowerPipeline.DEFAULT_CONFIG[key];
+            if (typeof defaultValue === 'number') {
+                config[key] = parseNumber(name, value);
+            } else if (typeof defaultValue === 'boolean') {
+                config[key] = ['yes', 'true', '1'].includes(value.toLowerCase());
+            } else {
+                config[key] = value;
+            }
+        } else {
+            throw new Error(`Unknown option: --${name}`);
+        }
+    }
+
+    return { command, options, config };
+}
+
+function parseNumber(name, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+function readDataFile(dir, name, required) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        if (required) throw new Error(`${file} not found`);
+        return null;
+    }
+    return fs.readFileSync(file, 'utf8');
+}
+
+async function train(options, config) {
+    const knownModels = [...TwoTowerPipeline.MODEL_NAMES, ...ClassicalRecommender.NAMES];
+    const modelNames = options.model === 'all' ? knownModels : options.model.split(',').map(name => name.trim());
+    for (const name of modelNames) {
+        if (!knownModels.includes(name)) {
+            throw new Error(`Unknown model: ${name}`);
+        }
+    }
+
+    const adapter = DatasetLoader.getFormat(options.format);
+    const fileNames = DatasetLoader.fileNames(options.format, { ratings: options.ratingsFile, items: options.itemsFile });
+    // Decoded as UTF-8 like the browser's fetch().text(), so titles and id maps match the app
+    const files = {};
+    for (const [name, fileName] of Object.entries(fileNames)) {
+        files[name] = readDataFile(options.data, fileName, adapter.required.includes(name));
+    }
+    const data = MovieLensData.load(options.format, files, {
+        maxInteractions: options.maxInteractions,
+        columns: options.columns,
+        delimiter: options.delimiter,
+        fileNames
+    });
+    console.log(`Data loaded (${adapter.label}): ${data.ratings.length} ratings, ${data.numItems} movies, ${data.numUsers} users, ${data.genreDim} genres`);
+    if (data.issues.count > 0) {
+        data.issues.list.forEach(issue => console.warn(`Skipped ${DatasetLoader.formatIssue(issue)}`));
+        console.warn(`Skipped ${data.issues.count} malformed line(s)` +
+            (data.issues.count > data.issues.list.length ? ` (only the first ${data.issues.list.length} are listed)` : ''));
+    }
+
+    const split = TwoTowerPipeline.createSplit(data, options.split);
+    const trainRatings = split ? split.train : data.ratings;
+    if (split) {
+        console.log(`Split (${split.mode}): ${split.train.length} train / ${split.test.length} held-out interactions`);
+    }
+
+    const models = {};
+    const lossHistory = { baseline: [], deep: [], sequential: [] };
+    const report = {
+        createdAt: new Date().toISOString(),
+        backend: tf.getBackend(),
+        config,
+        dataset: {
+            format: options.format,
+            files: fileNames,
+            ratings: data.ratings.length,
+            skippedLines: data.issues.count
+        },
+        split: split ? {
+            mode: split.mode,
+            train: split.train.length,
+            test: split.test.length,
+            eligibleUsers: split.eligibleUsers.length
+        } : null,
+        models: {}
+    };
+
+    // First Ctrl+C stops training between batches and still writes results; a second one exits
+    let interrupted = false;
+    process.once('SIGINT', () => {
+        interrupted = true;
+        console.log('Stopping after the current batch (Ctrl+C again to abort)...');
+        process.once('SIGINT', () => process.exit(130));
+    });
+
+    try {
+        for (const name of modelNames) {
+            if (interrupted) break;
+            if (ClassicalRecommender.NAMES.includes(name)) {
+                const start = Date.now();
+                const recommender = await new ClassicalRecommender(name, data, config).fit(trainRatings);
+                const entry = { trainSeconds: (Date.now() - start) / 1000, metrics: null, beyondAccuracy: null };
+                console.log(`${name} fitted in ${entry.trainSeconds.toFixed(1)}s`);
+                await reportMetrics(name, recommender, data, split, options.k, entry);
+                report.models[name] = entry;
+                continue;
+            }
+
+            const model = TwoTowerPipeline.createModel(name, data, config);
+            models[name] = model;
+
+            const start = Date.now();
+            const result = await TwoTowerPipeline.trainModel(model, name, data, trainRatings, config, {
+                onBatch: ({ loss }) => lossHistory[name].push(loss),
+                onEpoch: ({ epoch, loss }) => {
+                    console.log(`${name} Epoch ${epoch + 1}/${config.epochs}, Average Loss: ${loss.toFixed(4)}`);
+                },
+                onValidation: ({ epoch, metrics, best }) => {
+                    console.log(`${name} Epoch ${epoch + 1} validation Recall@${metrics.k}: ${metrics.recall.toFixed(4)}${best ? ' (best)' : ''}`);
+                },
+                shouldStop: () => interrupted
+            });
+            if (result.stopReason === 'early-stopping') {
+                console.log(`${name} stopped early; best epoch ${result.bestEpoch + 1}`);
+            }
+            const entry = {
+                trainSeconds: (Date.now() - start) / 1000,
+                epochLosses: result.epochLosses,
+                validation: result.validation,
+                bestEpoch: result.bestEpoch,
+                stopReason: result.stopReason,
+                temperature: result.temperature,
+                metrics: null,
+                beyondAccuracy: null
+            };
+
+            const index = new ItemEmbeddingIndex(model, name, data).build();
+            try {
+                await reportMetrics(name, index, data, split, options.k, entry);
+            } finally {
+                index.dispose();
+            }
+            report.models[name] = entry;
+        }
+
+        // model.json is the same bundle format the browser's Upload button accepts (towers only)
+        fs.mkdirSync(options.out, { recursive: true });
+        fs.writeFileSync(path.join(options.out, 'metrics.json'), JSON.stringify(report, null, 2));
+        if (Object.keys(models).length > 0) {
+            fs.writeFileSync(path.join(options.out, 'model.json'),
+                JSON.stringify(ModelStore.serialize(models, data, config, lossHistory)));
+            console.log(`Wrote ${path.join(options.out, 'metrics.json')} and ${path.join(options.out, 'model.json')}`);
+        } else {
+            console.log(`Wrote ${path.join(options.out, 'metrics.json')}`);
+        }
+    } finally {
+        Object.values(models).forEach(model => model.dispose());
+    }
+}
+
+// Held-out ranking metrics (with a split) and the beyond-accuracy summary, stored on entry
+async function reportMetrics(name, index, data, split, k, entry) {
+    if (split) {
+        entry.metrics = await TwoTowerPipeline.evaluate(index, data, split, k);
+        const m = entry.metrics;
+        console.log(`${name} @${m.k}: Recall ${m.recall.toFixed(4)}, NDCG ${m.ndcg.toFixed(4)}, MAP ${m.map.toFixed(4)}, MRR ${m.mrr.toFixed(4)}, HitRate ${m.hitRate.toFixed(4)}` +
+            `${m.rmse !== undefined ? `, RMSE ${m.rmse.toFixed(4)}, MAE ${m.mae.toFixed(4)}` : ''} (${m.numUsers} users)`);
+    }
+    entry.beyondAccuracy = await TwoTowerPipeline.beyondAccuracy(index, data, k, split);
+    const b = entry.beyondAccuracy;
+    console.log(`${name} top-${b.k} lists: coverage ${(b.coverage * 100).toFixed(1)}%, Gini ${b.gini.toFixed(4)}, novelty ${b.novelty.toFixed(3)} bits, genre diversity ${b.ildGenre.toFixed(4)}, genre KL ${b.genreKL.toFixed(4)}`);
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (parsed.command !== 'train') {
+        const asked = [undefined, 'help', '--help', '-h'].includes(parsed.command);
+        (asked ? console.log : console.error)(USAGE);
+        process.exit(asked ? 0 : 1);
+    }
+
+    try {
+        await train(parsed.options, parsed.config);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Runs only as a script; tests require parseArgs
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,97 @@
+// Cold-start recommendations for users outside userIdToIndex
+// A user vector is built from a few rated seed movies in the item-embedding space
+
+class ColdStartRecommender {
+    constructor(itemIndex) {
+        this.itemIndex = itemIndex; // ItemEmbeddingIndex of a trained model
+    }
+
+    // seeds: [{ itemIndex, rating }]; ratings above 3 pull towards an item, below 3 push away
+    static seedWeights(seeds) {
+        const weights = seeds.map(seed => (seed.rating ?? 4) - 3);
+        if (weights.every(w => w <= 0)) {
+            // Nothing liked: fall back to treating every pick as a mild positive
+            return seeds.map(() => 1);
+        }
+        return weights;
+    }
+
+    // Weighted average of the seed items' tower embeddings -> [1, embDim]
+    averageUserVector(seeds) {
+        const weights = ColdStartRecommender.seedWeights(seeds);
+        return tf.tidy(() => {
+            const seedEmbs = tf.gather(this.itemIndex.embeddings, seeds.map(s => s.itemIndex));
+            const w = tf.tensor2d(weights, [1, seeds.length]);
+            return l2Normalize(w.matMul(seedEmbs), -1);
+        });
+    }
+
+    // Fresh user row optimised with a full-catalog softmax over the frozen item embeddings.
+    // options.init ([1, embDim]) starts from an existing user vector instead of the seed average.
+    async fineTuneUserVector(seeds, options = {}) {
+        const steps = options.steps || 100;
+        const learningRate = options.learningRate || 0.05;
+        const temperature = options.temperature || 0.1;
+
+        const weights = ColdStartRecommender.seedWeights(seeds);
+        const weighted = seeds.map((seed, i) => ({ ...seed, weight: weights[i] }));
+        const positives = weighted.filter(s => s.weight > 0);
+        const negatives = weighted.filter(s => s.weight < 0);
+
+        const init = options.init ? options.init.clone() : this.averageUserVector(seeds);
+        const userRow = tf.variable(init, true);
+        init.dispose();
+        const optimizer = tf.train.adam(learningRate);
+
+        const posIdx = tf.tensor1d(positives.map(s => s.itemIndex), 'int32');
+        const posWeights = tf.tensor1d(positives.map(s => s.weight));
+        const negIdx = negatives.length > 0 ? tf.tensor1d(negatives.map(s => s.itemIndex), 'int32') : null;
+
+        try {
+            for (let step = 0; step < steps; step++) {
+                tf.tidy(() => {
+                    optimizer.minimize(() => {
+                        const logits = l2Normalize(userRow, -1)
+                            .matMul(this.itemIndex.embeddings, false, true)
+                            .div(temperature)
+                            .squeeze([0]); // [numItems]
+                        const logProbs = tf.logSoftmax(logits);
+
+                        // Maximise likelihood of liked seeds, penalise disliked ones
+                        let loss = tf.neg(tf.sum(tf.gather(logProbs, posIdx).mul(posWeights)).div(tf.sum(posWeights)));
+                        if (negIdx) {
+                            loss = loss.add(tf.mean(tf.gather(logProbs, negIdx).exp()));
+                        }
+                        return loss;
+                    }, false, [userRow]);
+                });
+
+                if (step % 20 === 0) await tf.nextFrame();
+            }
+            return tf.tidy(() => l2Normalize(userRow, -1));
+        } finally {
+            tf.dispose([userRow, posIdx, posWeights]);
+            if (negIdx) negIdx.dispose();
+            optimizer.dispose();
+        }
+    }
+
+    // method: 'average' | 'finetune'; seed items are excluded from the results
+    async recommend(seeds, k = 10, method = 'average', options = {}) {
+        if (seeds.length === 0) {
+            throw new Error('Pick at least one movie first');
+        }
+
+        const userVector = method === 'finetune' ?
+            await this.fineTuneUserVector(seeds, options) :
+            this.averageUserVector(seeds);
+
+        try {
+            const excluded = [seeds.map(s => s.itemIndex)];
+            const [ranked] = await this.itemIndex.search(userVector, k, excluded);
+            return ranked;
+        } finally {
+            userVector.dispose();
+        }
+    }
+}
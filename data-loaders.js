@@ -0,0 +1,410 @@
+// Format adapters for the dataset layouts we train on, shared by the browser app, the worker and the Node CLI
+// An adapter turns raw file texts into plain rows; MovieLensData.load builds id maps, genres and features from them
+
+class DatasetLoader {
+    // Genre columns of u.item, used when u.genre is not next to it
+    static ML100K_GENRES = [
+        'unknown', 'Action', 'Adventure', 'Animation', "Children's", 'Comedy',
+        'Crime', 'Documentary', 'Drama', 'Fantasy', 'Film-Noir', 'Horror',
+        'Musical', 'Mystery', 'Romance', 'Sci-Fi', 'Thriller', 'War', 'Western'
+    ];
+
+    static DEFAULT_COLUMNS = { user: 'userId', item: 'itemId', rating: 'rating', timestamp: 'timestamp' };
+
+    // files: logical name -> default file name; required files must be present, the rest are optional
+    // (parse also takes a ratings-only set, e.g. new interactions for a trained model; items is then null)
+    static FORMATS = {
+        'ml-100k': {
+            label: 'MovieLens 100K',
+            files: { ratings: 'u.data', items: 'u.item', users: 'u.user', genres: 'u.genre', occupations: 'u.occupation' },
+            required: ['ratings', 'items'],
+            parse: (files, names, options, issues) => DatasetLoader.parseML100K(files, names, options, issues)
+        },
+        'ml-1m': {
+            label: 'MovieLens 1M',
+            files: { ratings: 'ratings.dat', items: 'movies.dat', users: 'users.dat' },
+            required: ['ratings', 'items'],
+            parse: (files, names, options, issues) => DatasetLoader.parseML1M(files, names, options, issues)
+        },
+        'ml-latest': {
+            label: 'MovieLens latest',
+            files: { ratings: 'ratings.csv', items: 'movies.csv' },
+            required: ['ratings', 'items'],
+            parse: (files, names, options, issues) => DatasetLoader.parseMLLatest(files, names, options, issues)
+        },
+        'csv': {
+            label: 'Delimited interactions',
+            files: { ratings: 'interactions.csv', items: 'items.csv' },
+            required: ['ratings'],
+            parse: (files, names, options, issues) => DatasetLoader.parseDelimited(files, names, options, issues)
+        },
+        'jsonl': {
+            label: 'JSONL interactions',
+            files: { ratings: 'interactions.jsonl', items: 'items.jsonl' },
+            required: ['ratings'],
+            parse: (files, names, options, issues) => DatasetLoader.parseJsonl(files, names, options, issues)
+        }
+    };
+
+    static getFormat(format) {
+        const adapter = DatasetLoader.FORMATS[format];
+        if (!adapter) {
+            throw new Error(`Unknown dataset format "${format}" (expected one of ${Object.keys(DatasetLoader.FORMATS).join(', ')})`);
+        }
+        return adapter;
+    }
+
+    // Default file names merged with per-file overrides, e.g. { ratings: 'clicks.jsonl' }
+    static fileNames(format, overrides = {}) {
+        const names = { ...DatasetLoader.getFormat(format).files };
+        for (const [name, fileName] of Object.entries(overrides)) {
+            if (fileName) names[name] = fileName;
+        }
+        return names;
+    }
+
+    static createIssues() {
+        return { count: 0, list: [] };
+    }
+
+    // Only the first 100 issues are kept; the count covers all of them
+    static report(issues, file, line, message) {
+        issues.count++;
+        if (issues.list.length < 100) {
+            issues.list.push({ file, line, message });
+        }
+    }
+
+    static formatIssue(issue) {
+        return `${issue.file} line ${issue.line}: ${issue.message}`;
+    }
+
+    // Calls parseLine(line, lineNumber) for every non-empty line; a thrown Error becomes an issue for that line.
+    // Stops once limit rows were accepted. Line numbers are 1-based, counting the header.
+    static parseLines(text, file, issues, parseLine, { skipHeader = false, limit = Infinity } = {}) {
+        const rows = [];
+        const lines = text.split('\n');
+        let headerSkipped = !skipHeader;
+        for (let i = 0; i < lines.length && rows.length < limit; i++) {
+            const line = lines[i].replace(/\r$/, '');
+            if (!line.trim()) continue;
+            if (!headerSkipped) {
+                headerSkipped = true;
+                continue;
+            }
+            try {
+                const row = parseLine(line, i + 1);
+                if (row) rows.push(row);
+            } catch (error) {
+                DatasetLoader.report(issues, file, i + 1, error.message);
+            }
+        }
+        return rows;
+    }
+
+    static firstLine(text) {
+        const line = text.split('\n').find(l => l.trim());
+        return line ? line.replace(/\r$/, '') : '';
+    }
+
+    static splitFields(line, separator, expected) {
+        const fields = line.split(separator);
+        if (fields.length < expected) {
+            throw new Error(`expected ${expected} fields separated by "${separator}", found ${fields.length}`);
+        }
+        return fields;
+    }
+
+    // Quoted fields may contain the delimiter and doubled quotes ("American President, The (1995)")
+    static splitCsvLine(line, delimiter = ',') {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"' && field === '') {
+                quoted = true;
+            } else if (line.startsWith(delimiter, i)) {
+                fields.push(field);
+                field = '';
+                i += delimiter.length - 1;
+            } else {
+                field += c;
+            }
+        }
+        if (quoted) {
+            throw new Error('unterminated quoted field');
+        }
+        fields.push(field);
+        return fields;
+    }
+
+    // Integer-looking ids become numbers, like the MovieLens files; anything else stays a string
+    static parseId(value, what = 'id') {
+        const text = String(value ?? '').trim();
+        if (!text) {
+            throw new Error(`missing ${what}`);
+        }
+        return /^-?\d+$/.test(text) ? parseInt(text) : text;
+    }
+
+    static parseNumber(value, what) {
+        const text = String(value ?? '').trim();
+        const number = typeof value === 'number' ? value : text === '' ? NaN : Number(text);
+        if (!Number.isFinite(number)) {
+            throw new Error(`invalid ${what} "${value ?? ''}"`);
+        }
+        return number;
+    }
+
+    // Unix seconds as a number or digits, otherwise any date string Date can parse
+    static parseTimestamp(value) {
+        if (typeof value === 'number' || /^\s*\d+\s*$/.test(String(value))) {
+            return DatasetLoader.parseNumber(value, 'timestamp');
+        }
+        const ms = Date.parse(value);
+        if (isNaN(ms)) {
+            throw new Error(`invalid timestamp "${value}"`);
+        }
+        return Math.floor(ms / 1000);
+    }
+
+    static titleYear(title) {
+        const yearMatch = title.match(/\((\d{4})\)$/);
+        return yearMatch ? parseInt(yearMatch[1]) : null;
+    }
+
+    // "Action|Comedy" or ['Action', 'Comedy']; ml-latest spells out the empty list
+    static splitGenres(value) {
+        const genres = Array.isArray(value) ? value : String(value ?? '').split('|');
+        return genres.map(g => String(g).trim()).filter(g => g && g !== '(no genres listed)');
+    }
+
+    // "user=uid,item=sku,rating=stars,timestamp=ts"; values are header names, JSON keys or 0-based column numbers.
+    // Empty values drop the field (e.g. "rating=" for click logs).
+    static parseColumnMapping(text) {
+        const columns = { ...DatasetLoader.DEFAULT_COLUMNS };
+        if (!text || !text.trim()) return columns;
+
+        for (const pair of text.split(',')) {
+            if (!pair.trim()) continue;
+            const [key, value = ''] = pair.split('=').map(s => s.trim());
+            if (!(key in DatasetLoader.DEFAULT_COLUMNS)) {
+                throw new Error(`Unknown column "${key}" in mapping (expected ${Object.keys(DatasetLoader.DEFAULT_COLUMNS).join(', ')})`);
+            }
+            columns[key] = value === '' ? null : value;
+        }
+        if (!columns.user || !columns.item) {
+            throw new Error('The column mapping needs both user and item');
+        }
+        return columns;
+    }
+
+    static parseML100K(files, names, options, issues) {
+        const genreVocabulary = files.genres ?
+            DatasetLoader.parseGenreList(files.genres, names.genres, issues) : DatasetLoader.ML100K_GENRES;
+        const fieldCount = 5 + genreVocabulary.length;
+
+        // u.item: id | title | release date | video release date | IMDb URL | one 0/1 flag per genre
+        const items = files.items ? DatasetLoader.parseLines(files.items, names.items, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitFields(line, '|', fieldCount);
+            const flags = parts.slice(5, fieldCount).map(g => parseInt(g));
+            if (flags.some(flag => flag !== 0 && flag !== 1)) {
+                throw new Error('genre flags must be 0 or 1');
+            }
+            return {
+                id: DatasetLoader.parseId(parts[0], 'movie id'),
+                title: parts[1],
+                genres: genreVocabulary.filter((_, g) => flags[g]),
+                line: lineNumber
+            };
+        }) : null;
+
+        // u.data: user id \t item id \t rating \t timestamp
+        const ratings = DatasetLoader.parseLines(files.ratings, names.ratings, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitFields(line, '\t', 4);
+            return DatasetLoader.ratingRow(parts[0], parts[1], parts[2], parts[3], lineNumber);
+        }, { limit: options.maxInteractions });
+
+        // u.user: user id | age | gender | occupation | zip code
+        const users = files.users ? DatasetLoader.parseLines(files.users, names.users, issues, (line) => {
+            const parts = DatasetLoader.splitFields(line, '|', 5);
+            return DatasetLoader.userRow(parts[0], parts[1], parts[2], parts[3], parts[4]);
+        }) : null;
+
+        const occupations = files.occupations ?
+            files.occupations.split('\n').map(o => o.trim()).filter(o => o) : [];
+
+        return { items, ratings, users, occupations, genreVocabulary };
+    }
+
+    // u.genre: "name|index"
+    static parseGenreList(text, file, issues) {
+        const names = [];
+        DatasetLoader.parseLines(text, file, issues, (line) => {
+            const [name, index] = DatasetLoader.splitFields(line, '|', 2);
+            names[DatasetLoader.parseNumber(index, 'genre index')] = name;
+        });
+        return Array.from(names, (name, i) => name ?? `Genre ${i}`);
+    }
+
+    // ML-1M uses "::" separators; genres are pipe-joined names and users.dat codes age and occupation as numbers
+    static parseML1M(files, names, options, issues) {
+        const items = files.items ? DatasetLoader.parseLines(files.items, names.items, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitFields(line, '::', 3);
+            return {
+                id: DatasetLoader.parseId(parts[0], 'movie id'),
+                title: parts[1],
+                genres: DatasetLoader.splitGenres(parts[2]),
+                line: lineNumber
+            };
+        }) : null;
+
+        const ratings = DatasetLoader.parseLines(files.ratings, names.ratings, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitFields(line, '::', 4);
+            return DatasetLoader.ratingRow(parts[0], parts[1], parts[2], parts[3], lineNumber);
+        }, { limit: options.maxInteractions });
+
+        // users.dat: user id :: gender :: age group :: occupation code :: zip code
+        const users = files.users ? DatasetLoader.parseLines(files.users, names.users, issues, (line) => {
+            const parts = DatasetLoader.splitFields(line, '::', 5);
+            return DatasetLoader.userRow(parts[0], parts[2], parts[1], parts[3], parts[4]);
+        }) : null;
+
+        return { items, ratings, users, occupations: [], genreVocabulary: null };
+    }
+
+    // ml-latest(-small): CSV with a header row and quoted titles
+    static parseMLLatest(files, names, options, issues) {
+        const items = files.items ? DatasetLoader.parseMovieCsv(files.items, names.items, issues) : null;
+        const ratings = DatasetLoader.parseLines(files.ratings, names.ratings, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitFields(line, ',', 4);
+            return DatasetLoader.ratingRow(parts[0], parts[1], parts[2], parts[3], lineNumber);
+        }, { skipHeader: true, limit: options.maxInteractions });
+
+        return { items, ratings, users: null, occupations: [], genreVocabulary: null };
+    }
+
+    // movies.csv layout: movieId,title,genres with a header row
+    static parseMovieCsv(text, file, issues) {
+        return DatasetLoader.parseLines(text, file, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitCsvLine(line);
+            if (parts.length < 3) {
+                throw new Error(`expected 3 fields (id, title, genres), found ${parts.length}`);
+            }
+            return {
+                id: DatasetLoader.parseId(parts[0], 'movie id'),
+                title: parts[1].trim(),
+                genres: DatasetLoader.splitGenres(parts[2]),
+                line: lineNumber
+            };
+        }, { skipHeader: true });
+    }
+
+    // Any delimited interaction file; options.columns maps fields to header names or column numbers.
+    // Named columns mean the first line is a header. The optional items file uses the movies.csv layout.
+    static parseDelimited(files, names, options, issues) {
+        const columns = DatasetLoader.parseColumnMapping(options.columns);
+        const delimiter = (options.delimiter || ',').replace(/\\t/g, '\t'); // a typed "\t" means tab
+        const file = names.ratings;
+        const usesHeader = Object.values(columns).some(c => c !== null && !/^\d+$/.test(c));
+
+        const header = usesHeader ? DatasetLoader.splitCsvLine(DatasetLoader.firstLine(files.ratings), delimiter).map(h => h.trim()) : [];
+        const positions = {};
+        for (const [key, column] of Object.entries(columns)) {
+            if (column === null) continue;
+            positions[key] = /^\d+$/.test(column) ? parseInt(column) : header.indexOf(column);
+            if (positions[key] < 0) {
+                throw new Error(`Column "${column}" (${key}) is not in the header of ${file}: ${header.join(delimiter)}`);
+            }
+        }
+        const fieldCount = Math.max(...Object.values(positions)) + 1;
+
+        const ratings = DatasetLoader.parseLines(files.ratings, file, issues, (line, lineNumber) => {
+            const parts = DatasetLoader.splitCsvLine(line, delimiter);
+            if (parts.length < fieldCount) {
+                throw new Error(`expected at least ${fieldCount} fields, found ${parts.length}`);
+            }
+            const field = (key) => key in positions ? parts[positions[key]] : undefined;
+            return DatasetLoader.ratingRow(field('user'), field('item'), field('rating'), field('timestamp'), lineNumber);
+        }, { skipHeader: usesHeader, limit: options.maxInteractions });
+
+        const items = files.items ?
+            DatasetLoader.parseMovieCsv(files.items, names.items, issues) : null;
+
+        return { items, ratings, users: null, occupations: [], genreVocabulary: null };
+    }
+
+    // One JSON object per line; options.columns names the keys. Items lines look like
+    // { "itemId": ..., "title": ..., "genres": [...] or "A|B", "year": ... } (id key from the mapping, "id" also works)
+    static parseJsonl(files, names, options, issues) {
+        const columns = DatasetLoader.parseColumnMapping(options.columns);
+        const file = names.ratings;
+        const parseObject = (line) => {
+            let value;
+            try {
+                value = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`invalid JSON (${error.message})`);
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('expected a JSON object');
+            }
+            return value;
+        };
+
+        const ratings = DatasetLoader.parseLines(files.ratings, file, issues, (line, lineNumber) => {
+            const event = parseObject(line);
+            const field = (key) => columns[key] === null ? undefined : event[columns[key]];
+            return DatasetLoader.ratingRow(field('user'), field('item'), field('rating'), field('timestamp'), lineNumber);
+        }, { limit: options.maxInteractions });
+
+        const items = files.items ? DatasetLoader.parseLines(files.items, names.items, issues, (line, lineNumber) => {
+            const item = parseObject(line);
+            const id = DatasetLoader.parseId(item[columns.item] ?? item.id, 'item id');
+            return {
+                id,
+                title: item.title !== undefined ? String(item.title) : `Item ${id}`,
+                year: item.year !== undefined ? DatasetLoader.parseNumber(item.year, 'year') : undefined,
+                genres: DatasetLoader.splitGenres(item.genres),
+                line: lineNumber
+            };
+        }) : null;
+
+        return { items, ratings, users: null, occupations: [], genreVocabulary: null };
+    }
+
+    // Click logs have no rating (every interaction counts as 1) and may lack timestamps (file order is used)
+    static ratingRow(user, item, rating, timestamp, lineNumber) {
+        return {
+            userId: DatasetLoader.parseId(user, 'user id'),
+            itemId: DatasetLoader.parseId(item, 'item id'),
+            rating: rating === undefined ? 1 : DatasetLoader.parseNumber(rating, 'rating'),
+            timestamp: timestamp === undefined ? lineNumber : DatasetLoader.parseTimestamp(timestamp),
+            line: lineNumber
+        };
+    }
+
+    static userRow(userId, age, gender, occupation, zip) {
+        return {
+            userId: DatasetLoader.parseId(userId, 'user id'),
+            age: parseInt(age),
+            gender: gender.trim(),
+            occupation: occupation.trim(),
+            zip: zip.trim()
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DatasetLoader };
+}
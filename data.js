@@ -0,0 +1,354 @@
+// Dataset building, shared by the browser app and the Node CLI (no DOM access)
+// DatasetLoader adapters parse the raw files; this turns their rows into id maps, genre vectors and features
+
+class MovieLensData {
+    // files: logical name -> text, e.g. { ratings, items, users } (see DatasetLoader.FORMATS)
+    // options: { maxInteractions, columns, delimiter, fileNames } where fileNames overrides the default file names
+    static load(format, files, options = {}) {
+        const adapter = DatasetLoader.getFormat(format);
+        const names = DatasetLoader.fileNames(format, options.fileNames);
+        for (const name of adapter.required) {
+            if (!files[name]) {
+                throw new Error(`${adapter.label} data needs ${names[name]}`);
+            }
+        }
+
+        const issues = DatasetLoader.createIssues();
+        const source = adapter.parse(files, names, { ...options, maxInteractions: options.maxInteractions || Infinity }, issues);
+        return MovieLensData.build(source, format, names, issues);
+    }
+
+    // New interactions (and optionally metadata for new items) in the dataset's own format, for append().
+    // files: { ratings, items? } texts; options as for load, fileNames naming the files in issue reports
+    static parseUpdate(format, files, options = {}) {
+        const names = DatasetLoader.fileNames(format, options.fileNames);
+        const issues = DatasetLoader.createIssues();
+        const source = DatasetLoader.getFormat(format).parse(
+            { ratings: files.ratings, items: files.items || null },
+            names,
+            { ...options, maxInteractions: Infinity },
+            issues
+        );
+        return { ratings: source.ratings, items: source.items, itemsFile: names.items, issues };
+    }
+
+    // Adds a batch of interactions to loaded data in place. Unseen users and items get the next
+    // indices, so every existing index (and the trained embedding row behind it) stays put.
+    // update: { ratings, items } rows as from parseUpdate; metadata for known items is ignored and
+    // new items without any become "Item <id>". Genres outside the loaded vocabulary are dropped.
+    // Returns { ratings: the added ratings, newUsers, newItems } (ids)
+    static append(data, update, issues = DatasetLoader.createIssues()) {
+        const genreIndex = new Map(data.genreNames.map((name, i) => [name, i]));
+        const newUsers = [];
+        const newItems = [];
+
+        const addItem = (row) => {
+            const genres = new Array(data.genreDim).fill(0);
+            for (const name of row.genres) {
+                if (genreIndex.has(name)) {
+                    genres[genreIndex.get(name)] = 1;
+                } else {
+                    DatasetLoader.report(issues, update.itemsFile, row.line, `genre "${name}" is not in the loaded vocabulary`);
+                }
+            }
+            data.items.set(row.id, {
+                id: row.id,
+                title: row.title,
+                year: row.year ?? DatasetLoader.titleYear(row.title),
+                genres
+            });
+            data.itemIdToIndex.set(row.id, data.indexToItemId.length);
+            data.indexToItemId.push(row.id);
+            newItems.push(row.id);
+        };
+
+        for (const row of update.items || []) {
+            if (!data.items.has(row.id)) addItem(row);
+        }
+
+        const added = [];
+        for (const { userId, itemId, rating, timestamp } of update.ratings) {
+            if (!data.items.has(itemId)) {
+                addItem({ id: itemId, title: `Item ${itemId}`, genres: [] });
+            }
+            if (!data.users.has(userId)) {
+                data.users.set(userId, { id: userId, ratings: [] });
+                data.userIdToIndex.set(userId, data.indexToUserId.length);
+                data.indexToUserId.push(userId);
+                newUsers.push(userId);
+            }
+
+            const entry = { userId, itemId, rating, timestamp };
+            data.ratings.push(entry);
+            added.push(entry);
+            if (!data.userRatings.has(userId)) {
+                data.userRatings.set(userId, []);
+            }
+            data.userRatings.get(userId).push({ itemId, rating, timestamp });
+        }
+
+        data.numUsers = data.users.size;
+        data.numItems = data.items.size;
+
+        // New users' demographics are unknown (bucket 0 of every feature)
+        if (data.userFeatureIndex) {
+            const index = new Int32Array(data.numUsers * 4);
+            index.set(data.userFeatureIndex);
+            data.userFeatureIndex = index;
+        }
+        data.itemContent = MovieLensData.extendItemContent(data.itemContent, data.items, data.indexToItemId);
+
+        return { ratings: added, newUsers, newItems };
+    }
+
+    // source: { items: [{ id, title, year?, genres: names, line }] or null, ratings, users, occupations, genreVocabulary }
+    static build(source, format, names, issues) {
+        const items = new Map();
+        const users = new Map();
+        const ratings = [];
+        const userRatings = new Map();
+
+        // Without an items file every interacted id becomes an untitled item
+        const itemRows = source.items || Array.from(new Set(source.ratings.map(r => r.itemId)),
+            id => ({ id, title: `Item ${id}`, genres: [] }));
+
+        // The vocabulary comes from the data: u.genre's fixed columns or every genre name seen, sorted.
+        // The towers need at least one genre column, so a dataset without genres gets a single empty one.
+        let genreNames = source.genreVocabulary ||
+            Array.from(new Set(itemRows.flatMap(item => item.genres))).sort();
+        if (genreNames.length === 0) {
+            genreNames = ['(no genres listed)'];
+        }
+        const genreIndex = new Map(genreNames.map((name, i) => [name, i]));
+
+        // Parse items (movies)
+        for (const row of itemRows) {
+            if (items.has(row.id)) {
+                DatasetLoader.report(issues, names.items, row.line, `duplicate item id ${row.id}`);
+                continue;
+            }
+            const genres = new Array(genreNames.length).fill(0);
+            for (const name of row.genres) {
+                genres[genreIndex.get(name)] = 1;
+            }
+
+            items.set(row.id, {
+                id: row.id,
+                title: row.title,
+                // Extract year from title if present (format: "Title (YYYY)")
+                year: row.year ?? DatasetLoader.titleYear(row.title),
+                genres: genres // plain 0/1 flags; models build genre tensors per batch from these
+            });
+        }
+
+        // Parse ratings
+        for (const { userId, itemId, rating, timestamp, line } of source.ratings) {
+            if (!items.has(itemId)) {
+                DatasetLoader.report(issues, names.ratings, line, `unknown item id ${itemId}`);
+                continue;
+            }
+            
+            ratings.push({
+                userId,
+                itemId,
+                rating,
+                timestamp
+            });
+
+            // Track user ratings
+            if (!userRatings.has(userId)) {
+                userRatings.set(userId, []);
+            }
+            userRatings.get(userId).push({ itemId, rating, timestamp });
+            
+            // Add to users map
+            if (!users.has(userId)) {
+                users.set(userId, { id: userId, ratings: [] });
+            }
+        }
+
+        // Create index mappings
+        const userIdToIndex = new Map();
+        const itemIdToIndex = new Map();
+        const indexToUserId = [];
+        const indexToItemId = [];
+
+        // User indices
+        let userIndex = 0;
+        for (const userId of users.keys()) {
+            userIdToIndex.set(userId, userIndex);
+            indexToUserId.push(userId);
+            userIndex++;
+        }
+
+        // Item indices
+        let itemIndex = 0;
+        for (const itemId of items.keys()) {
+            itemIdToIndex.set(itemId, itemIndex);
+            indexToItemId.push(itemId);
+            itemIndex++;
+        }
+
+        const userFeatures = source.users ?
+            MovieLensData.buildUserFeatures(source.users, source.occupations || [], indexToUserId) : null;
+        const itemContent = MovieLensData.buildItemContent(items, indexToItemId);
+
+        return {
+            format,
+            items,
+            users,
+            ratings,
+            userRatings,
+            userIdToIndex,
+            itemIdToIndex,
+            indexToUserId,
+            indexToItemId,
+            numUsers: users.size,
+            numItems: items.size,
+            genreDim: genreNames.length,
+            genreNames,
+            itemContent,
+            userFeatures: userFeatures ? userFeatures.byUserId : null,
+            userFeatureIndex: userFeatures ? userFeatures.index : null,
+            userFeatureDims: userFeatures ? userFeatures.dims : null,
+            // Malformed lines that were left out: { count, list: [{ file, line, message }] }
+            issues
+        };
+    }
+
+    static buildItemContent(items, indexToItemId) {
+        const yearBuckets = new Int32Array(indexToItemId.length);
+        const titleTokens = [];
+        const documentFrequency = new Map();
+
+        indexToItemId.forEach((itemId, i) => {
+            const item = items.get(itemId);
+            yearBuckets[i] = MovieLensData.yearBucket(item.year);
+            const tokens = MovieLensData.titleTokens(item.title);
+            titleTokens.push(tokens);
+            for (const token of tokens) {
+                documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+            }
+        });
+
+        // Words shared by at least two titles carry signal between movies
+        const vocab = Array.from(documentFrequency.entries())
+            .filter(([, count]) => count >= 2)
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, 1000)
+            .map(([token]) => token);
+        const vocabIndex = new Map(vocab.map((token, i) => [token, i]));
+
+        // Each title as the vocabulary indices of its words; a dense [numItems x vocab] bag of words
+        // would take hundreds of MB on large catalogs
+        const titleTerms = titleTokens.map(tokens => MovieLensData.titleTerms(tokens, vocabIndex));
+
+        return {
+            yearBuckets,
+            titleTerms,
+            ...MovieLensData.packTitleTerms(titleTerms),
+            vocab,
+            dims: { year: 10, titleVocab: vocab.length }
+        };
+    }
+
+    static titleTerms(tokens, vocabIndex) {
+        return Array.from(tokens).filter(token => vocabIndex.has(token)).map(token => vocabIndex.get(token));
+    }
+
+    // Row-normalized bag of words as padded [numItems * maxTitleTerms] term indices and weights
+    // (padding slots point at term 0 with weight 0)
+    static packTitleTerms(titleTerms) {
+        const maxTitleTerms = titleTerms.reduce((max, terms) => Math.max(max, terms.length), 1);
+        const titleTermIndex = new Int32Array(titleTerms.length * maxTitleTerms);
+        const titleTermWeight = new Float32Array(titleTerms.length * maxTitleTerms);
+        titleTerms.forEach((terms, i) => {
+            terms.forEach((term, j) => {
+                titleTermIndex[i * maxTitleTerms + j] = term;
+                titleTermWeight[i * maxTitleTerms + j] = 1 / terms.length;
+            });
+        });
+        return { titleTermIndex, titleTermWeight, maxTitleTerms };
+    }
+
+    // Release decade: 0 unknown, 1 = before 1930, ..., 8 = 1990s, 9 = 2000 and later
+    static yearBucket(year) {
+        return year ? Math.min(Math.max(Math.floor(year / 10) - 191, 1), 9) : 0;
+    }
+
+    // Title words without the trailing "(YYYY)"
+    static titleTokens(title) {
+        const stopWords = new Set(['the', 'of', 'in', 'and', 'to', 'for', 'on', 'with', 'an', 'it', 'at', 'la', 'le', 'de']);
+        return new Set(title
+            .replace(/\(\d{4}\)\s*$/, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !stopWords.has(token)));
+    }
+
+    // Rows for items appended after buildItemContent; the title vocabulary stays fixed because
+    // the deep model's title projection is sized by it
+    static extendItemContent(content, items, indexToItemId) {
+        const numOld = content.yearBuckets.length;
+        const vocabIndex = new Map(content.vocab.map((token, i) => [token, i]));
+
+        const yearBuckets = new Int32Array(indexToItemId.length);
+        yearBuckets.set(content.yearBuckets);
+        const titleTerms = content.titleTerms.slice();
+
+        for (let i = numOld; i < indexToItemId.length; i++) {
+            const item = items.get(indexToItemId[i]);
+            yearBuckets[i] = MovieLensData.yearBucket(item.year);
+            titleTerms.push(MovieLensData.titleTerms(MovieLensData.titleTokens(item.title), vocabIndex));
+        }
+        return { ...content, yearBuckets, titleTerms, ...MovieLensData.packTitleTerms(titleTerms) };
+    }
+
+    // rows: [{ userId, age, gender, occupation, zip }]; occupations: known names, new ones are appended
+    static buildUserFeatures(rows, occupations, indexToUserId) {
+        // Bucket 0 of every feature is "unknown"
+        const ageBuckets = [18, 25, 35, 45, 50, 56]; // <18, 18-24, 25-34, 35-44, 45-49, 50-55, 56+
+        occupations = [...occupations];
+
+        const byUserId = new Map();
+        for (const { userId, age, gender, occupation, zip } of rows) {
+            if (occupation && !occupations.includes(occupation)) {
+                occupations.push(occupation);
+            }
+
+            byUserId.set(userId, {
+                age,
+                gender,
+                occupation,
+                zip,
+                ageBucket: isNaN(age) ? 0 : 1 + ageBuckets.filter(b => age >= b).length,
+                genderIndex: gender === 'M' ? 1 : gender === 'F' ? 2 : 0,
+                occupationIndex: 1 + occupations.indexOf(occupation),
+                // First zip digit is the US region; non-numeric (e.g. Canadian) codes are unknown
+                zipRegion: /^\d/.test(zip) ? 1 + parseInt(zip[0]) : 0
+            });
+        }
+
+        const dims = {
+            age: ageBuckets.length + 2,
+            gender: 3,
+            occupation: occupations.length + 1,
+            zipRegion: 11
+        };
+
+        // [numUsers, 4] lookup table in user-index order
+        const index = new Int32Array(indexToUserId.length * 4);
+        indexToUserId.forEach((userId, i) => {
+            const features = byUserId.get(userId);
+            if (!features) return;
+            index.set([features.ageBucket, features.genderIndex, features.occupationIndex, features.zipRegion], i * 4);
+        });
+
+        return { byUserId, index, dims };
+    }
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MovieLensData };
+}
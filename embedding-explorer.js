@@ -0,0 +1,462 @@
+// 2-D projections of embedding tables and an interactive scatter plot for them
+// Vectors are flat Float32Array [n * dim]; projections return Float64Array [n * 2]
+
+class EmbeddingProjector {
+    static METHODS = ['pca', 'tsne', 'umap'];
+    // t-SNE and UMAP keep n x n distance matrices (~72 MB each at 3K points), so callers project at most this many
+    static MAX_POINTS = 3000;
+
+    // options.onProgress(fraction) is awaited, so long projections can yield to the UI
+    static async project(method, vectors, n, dim, options = {}) {
+        if (method === 'pca') return EmbeddingProjector.pca(vectors, n, dim).projected;
+        if (method === 'tsne') return EmbeddingProjector.tsne(vectors, n, dim, options);
+        if (method === 'umap') return EmbeddingProjector.umap(vectors, n, dim, options);
+        throw new Error(`Unknown projection: ${method}`);
+    }
+
+    // Top components by power iteration with deflation on the [dim, dim] covariance
+    static pca(vectors, n, dim, components = 2) {
+        const mean = new Float64Array(dim);
+        for (let i = 0; i < n; i++) {
+            for (let d = 0; d < dim; d++) mean[d] += vectors[i * dim + d] / n;
+        }
+
+        const cov = new Float64Array(dim * dim);
+        for (let i = 0; i < n; i++) {
+            for (let a = 0; a < dim; a++) {
+                const xa = vectors[i * dim + a] - mean[a];
+                for (let b = a; b < dim; b++) {
+                    cov[a * dim + b] += xa * (vectors[i * dim + b] - mean[b]);
+                }
+            }
+        }
+        for (let a = 0; a < dim; a++) {
+            for (let b = a; b < dim; b++) {
+                cov[a * dim + b] /= Math.max(1, n - 1);
+                cov[b * dim + a] = cov[a * dim + b];
+            }
+        }
+
+        const random = SeededRandom.create(7);
+        const basis = [];
+        for (let c = 0; c < components; c++) {
+            let v = Float64Array.from({ length: dim }, () => random() - 0.5);
+            let eigenvalue = 0;
+            for (let iter = 0; iter < 200; iter++) {
+                const next = new Float64Array(dim);
+                for (let a = 0; a < dim; a++) {
+                    for (let b = 0; b < dim; b++) next[a] += cov[a * dim + b] * v[b];
+                }
+                const norm = Math.hypot(...next) || 1;
+                const delta = next.reduce((sum, x, a) => sum + Math.abs(x / norm - v[a]), 0);
+                v = next.map(x => x / norm);
+                eigenvalue = norm;
+                if (delta < 1e-9) break;
+            }
+            basis.push(v);
+
+            // Remove the found direction so the next iteration converges to the following one
+            for (let a = 0; a < dim; a++) {
+                for (let b = 0; b < dim; b++) cov[a * dim + b] -= eigenvalue * v[a] * v[b];
+            }
+        }
+
+        const projected = EmbeddingProjector.applyBasis(vectors, n, dim, mean, basis);
+        return { projected, mean, basis };
+    }
+
+    static applyBasis(vectors, n, dim, mean, basis) {
+        const projected = new Float64Array(n * basis.length);
+        for (let i = 0; i < n; i++) {
+            basis.forEach((v, c) => {
+                let sum = 0;
+                for (let d = 0; d < dim; d++) sum += (vectors[i * dim + d] - mean[d]) * v[d];
+                projected[i * basis.length + c] = sum;
+            });
+        }
+        return projected;
+    }
+
+    // Exact t-SNE (O(n^2) memory and time per iteration); fine up to MAX_POINTS
+    static async tsne(vectors, n, dim, options = {}) {
+        const perplexity = Math.min(options.perplexity || 30, (n - 1) / 3);
+        const iterations = options.iterations || 500;
+        const learningRate = options.learningRate || 200;
+        const random = SeededRandom.create(options.seed ?? 42);
+
+        const distances = EmbeddingProjector.squaredDistances(vectors, n, dim);
+
+        // Per-point Gaussian bandwidth matched to the target perplexity by binary search
+        const P = new Float64Array(n * n);
+        const targetEntropy = Math.log(perplexity);
+        for (let i = 0; i < n; i++) {
+            let beta = 1;
+            let lo = -Infinity;
+            let hi = Infinity;
+            for (let step = 0; step < 50; step++) {
+                let sum = 0;
+                let weighted = 0;
+                for (let j = 0; j < n; j++) {
+                    if (j === i) continue;
+                    const p = Math.exp(-distances[i * n + j] * beta);
+                    P[i * n + j] = p;
+                    sum += p;
+                    weighted += distances[i * n + j] * p;
+                }
+                sum = sum || 1e-12;
+                const entropy = Math.log(sum) + beta * weighted / sum;
+                for (let j = 0; j < n; j++) P[i * n + j] /= sum;
+
+                if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+                if (entropy > targetEntropy) {
+                    lo = beta;
+                    beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+                } else {
+                    hi = beta;
+                    beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2;
+                }
+            }
+        }
+
+        // Symmetrize into joint probabilities
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const p = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+                P[i * n + j] = p;
+                P[j * n + i] = p;
+            }
+        }
+
+        const Y = Float64Array.from({ length: n * 2 }, () => EmbeddingProjector.gaussian(random) * 1e-4);
+        const velocity = new Float64Array(n * 2);
+        const gains = new Float64Array(n * 2).fill(1);
+        const numerators = distances; // reused as the Student-t kernel buffer
+        const grad = new Float64Array(n * 2);
+
+        for (let iter = 0; iter < iterations; iter++) {
+            const exaggeration = iter < 100 ? 12 : 1;
+            const momentum = iter < 250 ? 0.5 : 0.8;
+
+            let sumQ = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    const dx = Y[i * 2] - Y[j * 2];
+                    const dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+                    const q = 1 / (1 + dx * dx + dy * dy);
+                    numerators[i * n + j] = q;
+                    numerators[j * n + i] = q;
+                    sumQ += 2 * q;
+                }
+            }
+
+            grad.fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (i === j) continue;
+                    const q = numerators[i * n + j];
+                    const force = (exaggeration * P[i * n + j] - q / sumQ) * q;
+                    grad[i * 2] += 4 * force * (Y[i * 2] - Y[j * 2]);
+                    grad[i * 2 + 1] += 4 * force * (Y[i * 2 + 1] - Y[j * 2 + 1]);
+                }
+            }
+
+            for (let k = 0; k < n * 2; k++) {
+                gains[k] = Math.sign(grad[k]) === Math.sign(velocity[k]) ?
+                    Math.max(gains[k] * 0.8, 0.01) : gains[k] + 0.2;
+                velocity[k] = momentum * velocity[k] - learningRate * gains[k] * grad[k];
+                Y[k] += velocity[k];
+            }
+
+            if (options.onProgress && iter % 10 === 0) {
+                await options.onProgress(iter / iterations);
+            }
+        }
+        return Y;
+    }
+
+    // Compact UMAP: fuzzy kNN graph + negative-sampling SGD layout (min_dist 0.1, spread 1)
+    static async umap(vectors, n, dim, options = {}) {
+        const numNeighbors = Math.min(options.numNeighbors || 15, n - 1);
+        const epochs = options.epochs || 200;
+        const negativeRate = 5;
+        const a = 1.577; // curve fit of min_dist = 0.1
+        const b = 0.895;
+        const random = SeededRandom.create(options.seed ?? 42);
+
+        // Brute-force k nearest neighbours
+        const distances = EmbeddingProjector.squaredDistances(vectors, n, dim);
+        const edges = new Map(); // i * n + j -> membership strength
+        for (let i = 0; i < n; i++) {
+            const order = Array.from({ length: n }, (_, j) => j).filter(j => j !== i);
+            order.sort((x, y) => distances[i * n + x] - distances[i * n + y]);
+            const neighbours = order.slice(0, numNeighbors);
+            const dists = neighbours.map(j => Math.sqrt(distances[i * n + j]));
+            const rho = dists[0];
+
+            // sigma so that the neighbour memberships sum to log2(k)
+            const target = Math.log2(numNeighbors);
+            let sigma = 1;
+            let lo = 0;
+            let hi = Infinity;
+            for (let step = 0; step < 64; step++) {
+                const sum = dists.reduce((total, d) => total + Math.exp(-Math.max(0, d - rho) / sigma), 0);
+                if (Math.abs(sum - target) < 1e-5) break;
+                if (sum > target) {
+                    hi = sigma;
+                    sigma = (lo + hi) / 2;
+                } else {
+                    lo = sigma;
+                    sigma = hi === Infinity ? sigma * 2 : (lo + hi) / 2;
+                }
+            }
+
+            neighbours.forEach((j, k) => {
+                edges.set(i * n + j, Math.exp(-Math.max(0, dists[k] - rho) / sigma));
+            });
+        }
+
+        // Fuzzy union: w_ij + w_ji - w_ij * w_ji
+        const heads = [];
+        const tails = [];
+        const weights = [];
+        for (const [key, w] of edges.entries()) {
+            const i = Math.floor(key / n);
+            const j = key % n;
+            const reverse = edges.get(j * n + i) || 0;
+            if (reverse && j < i) continue; // pair already emitted from the other side
+            heads.push(i);
+            tails.push(j);
+            weights.push(w + reverse - w * reverse);
+        }
+
+        // Spectral-ish start from PCA, scaled to a box of side 20
+        const Y = EmbeddingProjector.pca(vectors, n, dim).projected;
+        const extent = Math.max(...Y.map(Math.abs)) || 1;
+        for (let k = 0; k < Y.length; k++) Y[k] = Y[k] / extent * 10;
+
+        const maxWeight = Math.max(...weights);
+        const epochsPerSample = weights.map(w => maxWeight / w);
+        const nextSample = epochsPerSample.slice();
+        const clip = (x) => Math.max(-4, Math.min(4, x));
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            const alpha = 1 - epoch / epochs;
+            for (let e = 0; e < heads.length; e++) {
+                if (nextSample[e] > epoch) continue;
+                nextSample[e] += epochsPerSample[e];
+
+                const i = heads[e];
+                const j = tails[e];
+                let dx = Y[i * 2] - Y[j * 2];
+                let dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+                let d2 = dx * dx + dy * dy;
+                if (d2 > 0) {
+                    const coef = (-2 * a * b * Math.pow(d2, b - 1)) / (1 + a * Math.pow(d2, b));
+                    const gx = clip(coef * dx) * alpha;
+                    const gy = clip(coef * dy) * alpha;
+                    Y[i * 2] += gx;
+                    Y[i * 2 + 1] += gy;
+                    Y[j * 2] -= gx;
+                    Y[j * 2 + 1] -= gy;
+                }
+
+                for (let s = 0; s < negativeRate; s++) {
+                    const k = Math.floor(random() * n);
+                    if (k === i) continue;
+                    dx = Y[i * 2] - Y[k * 2];
+                    dy = Y[i * 2 + 1] - Y[k * 2 + 1];
+                    d2 = dx * dx + dy * dy;
+                    const coef = (2 * b) / ((0.001 + d2) * (1 + a * Math.pow(d2, b)));
+                    Y[i * 2] += clip(coef * dx) * alpha;
+                    Y[i * 2 + 1] += clip(coef * dy) * alpha;
+                }
+            }
+
+            if (options.onProgress && epoch % 10 === 0) {
+                await options.onProgress(epoch / epochs);
+            }
+        }
+        return Y;
+    }
+
+    static squaredDistances(vectors, n, dim) {
+        const distances = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                let sum = 0;
+                for (let d = 0; d < dim; d++) {
+                    const diff = vectors[i * dim + d] - vectors[j * dim + d];
+                    sum += diff * diff;
+                }
+                distances[i * n + j] = sum;
+                distances[j * n + i] = sum;
+            }
+        }
+        return distances;
+    }
+
+    static gaussian(random) {
+        return Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+    }
+}
+
+class EmbeddingExplorer {
+    constructor(canvas, tooltipEl, legendEl) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.tooltipEl = tooltipEl;
+        this.legendEl = legendEl;
+        this.padding = 40;
+        this.view = null;
+        this.screenPoints = [];
+
+        canvas.addEventListener('mousemove', (event) => this.handleHover(event));
+        canvas.addEventListener('mouseleave', () => this.hideTooltip());
+    }
+
+    // view: {
+    //   coords: Float64Array [n * 2], labels: string[], colors: string[], legend: [{ label, color }],
+    //   title, highlights: Map(pointIndex -> 'rated' | 'recommended' | 'user') or null
+    // }
+    // Points with NaN coordinates (not projected) are skipped
+    // Passing null clears the plot
+    render(view) {
+        this.view = view;
+        this.hideTooltip();
+        this.draw();
+        this.renderLegend();
+    }
+
+    renderLegend() {
+        this.legendEl.innerHTML = '';
+        if (!this.view) return;
+        const entries = [...this.view.legend];
+        if (this.view.highlights) {
+            entries.push({ label: '◆ user  ● rated  ■ recommended', color: null });
+        }
+        for (const { label, color } of entries) {
+            const entry = document.createElement('span');
+            entry.className = 'explorer-legend-entry';
+            if (color) {
+                const swatch = document.createElement('span');
+                swatch.className = 'explorer-swatch';
+                swatch.style.background = color;
+                entry.appendChild(swatch);
+            }
+            entry.appendChild(document.createTextNode(label));
+            this.legendEl.appendChild(entry);
+        }
+    }
+
+    draw() {
+        const { ctx, canvas, padding, view } = this;
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        if (!view) return;
+
+        const n = view.labels.length;
+        let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+        for (let i = 0; i < n; i++) {
+            if (Number.isNaN(view.coords[i * 2])) continue;
+            xMin = Math.min(xMin, view.coords[i * 2]);
+            xMax = Math.max(xMax, view.coords[i * 2]);
+            yMin = Math.min(yMin, view.coords[i * 2 + 1]);
+            yMax = Math.max(yMax, view.coords[i * 2 + 1]);
+        }
+        const scaleX = (x) => padding + (x - xMin) / ((xMax - xMin) || 1) * (width - 2 * padding);
+        const scaleY = (y) => height - padding - (y - yMin) / ((yMax - yMin) || 1) * (height - 2 * padding);
+
+        this.screenPoints = [];
+        for (let i = 0; i < n; i++) {
+            this.screenPoints.push(Number.isNaN(view.coords[i * 2]) ? null :
+                [scaleX(view.coords[i * 2]), scaleY(view.coords[i * 2 + 1])]);
+        }
+
+        // Background points first, dimmed when a user is overlaid
+        const highlights = view.highlights;
+        ctx.globalAlpha = highlights ? 0.25 : 0.7;
+        for (let i = 0; i < n; i++) {
+            if (!this.screenPoints[i] || (highlights && highlights.has(i))) continue;
+            ctx.fillStyle = view.colors[i];
+            ctx.beginPath();
+            ctx.arc(this.screenPoints[i][0], this.screenPoints[i][1], 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+
+        if (highlights) {
+            for (const [i, kind] of highlights.entries()) {
+                if (!this.screenPoints[i]) continue;
+                const [x, y] = this.screenPoints[i];
+                ctx.fillStyle = view.colors[i];
+                ctx.strokeStyle = '#000';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                if (kind === 'user') {
+                    ctx.fillStyle = '#000';
+                    ctx.moveTo(x, y - 8);
+                    ctx.lineTo(x + 8, y);
+                    ctx.lineTo(x, y + 8);
+                    ctx.lineTo(x - 8, y);
+                    ctx.closePath();
+                } else if (kind === 'recommended') {
+                    ctx.rect(x - 5, y - 5, 10, 10);
+                } else {
+                    ctx.arc(x, y, 5, 0, 2 * Math.PI);
+                }
+                ctx.fill();
+                ctx.stroke();
+            }
+        }
+
+        // Axes
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.font = '12px Arial';
+        ctx.fillText(view.title, padding, 15);
+    }
+
+    handleHover(event) {
+        if (!this.view) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+
+        let nearest = -1;
+        let nearestDist = 64; // 8px radius
+        this.screenPoints.forEach((point, i) => {
+            if (!point) return;
+            const [px, py] = point;
+            const dist = (px - x) ** 2 + (py - y) ** 2;
+            if (dist < nearestDist) {
+                nearest = i;
+                nearestDist = dist;
+            }
+        });
+
+        if (nearest < 0) {
+            this.hideTooltip();
+            return;
+        }
+        this.tooltipEl.textContent = this.view.labels[nearest];
+        this.tooltipEl.style.left = `${event.clientX - rect.left + 12}px`;
+        this.tooltipEl.style.top = `${event.clientY - rect.top + 12}px`;
+        this.tooltipEl.style.display = 'block';
+    }
+
+    hideTooltip() {
+        this.tooltipEl.style.display = 'none';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EmbeddingProjector, EmbeddingExplorer };
+}
@@ -0,0 +1,364 @@
+// Offline ranking evaluation for the two-tower recommenders
+// Held-out splits (leave-last-one-out, temporal cutoff) and top-K metrics
+
+class DataSplitter {
+    // Hold out each user's most recent interaction (by timestamp)
+    static leaveLastOut(ratings, minInteractions = 2) {
+        const byUser = new Map();
+        for (const rating of ratings) {
+            if (!byUser.has(rating.userId)) {
+                byUser.set(rating.userId, []);
+            }
+            byUser.get(rating.userId).push(rating);
+        }
+
+        const train = [];
+        const test = [];
+        for (const userRatings of byUser.values()) {
+            if (userRatings.length < minInteractions) {
+                train.push(...userRatings);
+                continue;
+            }
+
+            // Latest interaction goes to test; ties are broken by item id for determinism
+            let lastIdx = 0;
+            for (let i = 1; i < userRatings.length; i++) {
+                const r = userRatings[i];
+                const last = userRatings[lastIdx];
+                if (r.timestamp > last.timestamp ||
+                    (r.timestamp === last.timestamp && r.itemId > last.itemId)) {
+                    lastIdx = i;
+                }
+            }
+
+            for (let i = 0; i < userRatings.length; i++) {
+                (i === lastIdx ? test : train).push(userRatings[i]);
+            }
+        }
+
+        return DataSplitter.buildSplit('leave-last-out', train, test);
+    }
+
+    // Everything after the given quantile of timestamps is held out
+    static temporalCutoff(ratings, testFraction = 0.2) {
+        const timestamps = ratings.map(r => r.timestamp).sort((a, b) => a - b);
+        const cutoffIdx = Math.min(
+            timestamps.length - 1,
+            Math.floor(timestamps.length * (1 - testFraction))
+        );
+        const cutoff = timestamps[cutoffIdx];
+
+        const train = [];
+        const test = [];
+        for (const rating of ratings) {
+            (rating.timestamp < cutoff ? train : test).push(rating);
+        }
+
+        const split = DataSplitter.buildSplit('temporal', train, test);
+        split.cutoff = cutoff;
+        return split;
+    }
+
+    // Hold out every interaction of a random fraction of items (item cold-start slice)
+    static coldItems(ratings, itemFraction = 0.1, seed = 42) {
+        const itemIds = Array.from(new Set(ratings.map(r => r.itemId))).sort((a, b) => a - b);
+
+        // Seeded Fisher-Yates so the same items are held out on every run
+        const random = SeededRandom.create(seed);
+        for (let i = itemIds.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [itemIds[i], itemIds[j]] = [itemIds[j], itemIds[i]];
+        }
+
+        const coldItemIds = new Set(itemIds.slice(0, Math.max(1, Math.round(itemIds.length * itemFraction))));
+        const train = ratings.filter(r => !coldItemIds.has(r.itemId));
+        const test = ratings.filter(r => coldItemIds.has(r.itemId));
+
+        const split = DataSplitter.buildSplit('cold-items', train, test);
+        split.candidateItemIds = coldItemIds;
+        return split;
+    }
+
+    static buildSplit(mode, train, test) {
+        const trainItemsByUser = DataSplitter.groupItemsByUser(train);
+        const testItemsByUser = DataSplitter.groupItemsByUser(test);
+
+        // Only users with history to learn from and something to predict are eligible
+        const eligibleUsers = Array.from(testItemsByUser.keys())
+            .filter(userId => trainItemsByUser.has(userId));
+
+        return {
+            mode,
+            train,
+            test,
+            trainItemsByUser,
+            testItemsByUser,
+            eligibleUsers,
+            candidateItemIds: null // null = rank the whole catalog
+        };
+    }
+
+    // Interactions appended after the split count as training data. One that repeats a held-out
+    // interaction takes it out of the test set: evaluation would mask the item as seen, a certain miss.
+    static addTraining(split, ratings) {
+        for (const rating of ratings) {
+            split.train.push(rating);
+            if (!split.trainItemsByUser.has(rating.userId)) {
+                split.trainItemsByUser.set(rating.userId, new Set());
+            }
+            split.trainItemsByUser.get(rating.userId).add(rating.itemId);
+
+            const heldOut = split.testItemsByUser.get(rating.userId);
+            if (heldOut && heldOut.delete(rating.itemId)) {
+                split.test = split.test.filter(r => r.userId !== rating.userId || r.itemId !== rating.itemId);
+                if (heldOut.size === 0) {
+                    split.testItemsByUser.delete(rating.userId);
+                }
+            }
+        }
+        split.eligibleUsers = Array.from(split.testItemsByUser.keys())
+            .filter(userId => split.trainItemsByUser.has(userId));
+    }
+
+    static groupItemsByUser(ratings) {
+        const grouped = new Map();
+        for (const { userId, itemId } of ratings) {
+            if (!grouped.has(userId)) {
+                grouped.set(userId, new Set());
+            }
+            grouped.get(userId).add(itemId);
+        }
+        return grouped;
+    }
+}
+
+class RankingMetrics {
+    // recommended: ranked array of item ids, relevant: Set of item ids
+    static compute(recommended, relevant, k) {
+        const topK = recommended.slice(0, k);
+
+        let hits = 0;
+        let dcg = 0;
+        let precisionSum = 0;
+        let reciprocalRank = 0;
+
+        for (let i = 0; i < topK.length; i++) {
+            if (!relevant.has(topK[i])) continue;
+
+            hits++;
+            dcg += 1 / Math.log2(i + 2);
+            precisionSum += hits / (i + 1);
+            if (reciprocalRank === 0) {
+                reciprocalRank = 1 / (i + 1);
+            }
+        }
+
+        let idcg = 0;
+        const idealHits = Math.min(relevant.size, k);
+        for (let i = 0; i < idealHits; i++) {
+            idcg += 1 / Math.log2(i + 2);
+        }
+
+        return {
+            recall: relevant.size > 0 ? hits / relevant.size : 0,
+            ndcg: idcg > 0 ? dcg / idcg : 0,
+            map: idealHits > 0 ? precisionSum / idealHits : 0,
+            mrr: reciprocalRank,
+            hitRate: hits > 0 ? 1 : 0
+        };
+    }
+}
+
+class RankingEvaluator {
+    constructor(split, k = 10) {
+        this.split = split;
+        this.k = k;
+    }
+
+    // recommendFn(userIds, k, seenItemIdSets) -> Promise<Array<Array<itemId>>>, each ranked best first
+    async evaluate(recommendFn, onProgress = null, batchSize = 256) {
+        const totals = { recall: 0, ndcg: 0, map: 0, mrr: 0, hitRate: 0 };
+        const users = this.split.eligibleUsers;
+
+        for (let start = 0; start < users.length; start += batchSize) {
+            const batchUsers = users.slice(start, start + batchSize);
+            const seenSets = batchUsers.map(userId => this.split.trainItemsByUser.get(userId));
+            const recommended = await recommendFn(batchUsers, this.k, seenSets);
+
+            for (let i = 0; i < batchUsers.length; i++) {
+                const relevant = this.split.testItemsByUser.get(batchUsers[i]);
+                const metrics = RankingMetrics.compute(recommended[i], relevant, this.k);
+                for (const name of Object.keys(totals)) {
+                    totals[name] += metrics[name];
+                }
+            }
+
+            if (onProgress) onProgress(start + batchUsers.length, users.length);
+        }
+
+        const numUsers = users.length;
+        const averages = { k: this.k, numUsers };
+        for (const name of Object.keys(totals)) {
+            averages[name] = numUsers > 0 ? totals[name] / numUsers : 0;
+        }
+        return averages;
+    }
+}
+
+class RatingMetrics {
+    // predicted, actual: arrays of ratings in the same order
+    static compute(predicted, actual) {
+        let squared = 0;
+        let absolute = 0;
+        for (let i = 0; i < actual.length; i++) {
+            const error = predicted[i] - actual[i];
+            squared += error * error;
+            absolute += Math.abs(error);
+        }
+        const n = actual.length;
+        return {
+            rmse: n > 0 ? Math.sqrt(squared / n) : 0,
+            mae: n > 0 ? absolute / n : 0,
+            numRatings: n
+        };
+    }
+}
+
+// Metrics that need no held-out data: how broad, novel, varied and well-calibrated the top-K lists are
+class BeyondAccuracyMetrics {
+    // lists: Map userId -> ranked item ids; history: Map userId -> Set of item ids the user interacted with
+    // itemEmbeddings: optional L2-normalized Float32Array [numItems * dim] in itemIdToIndex order
+    static compute(lists, data, history, itemEmbeddings = null) {
+        const popularity = BeyondAccuracyMetrics.itemPopularity(data);
+        const exposure = new Float64Array(data.numItems);
+        const embDim = itemEmbeddings ? itemEmbeddings.length / data.numItems : 0;
+
+        let recommendations = 0;
+        let popularitySum = 0;
+        let noveltySum = 0;
+        let ildGenreSum = 0;
+        let ildEmbeddingSum = 0;
+        let klSum = 0;
+        let numLists = 0;
+
+        for (const [userId, itemIds] of lists.entries()) {
+            if (itemIds.length === 0) continue;
+            numLists++;
+
+            const indices = itemIds.map(itemId => data.itemIdToIndex.get(itemId));
+            for (const itemIndex of indices) {
+                exposure[itemIndex]++;
+                recommendations++;
+                popularitySum += popularity[itemIndex];
+                // Self-information of the item; unseen items count as seen once
+                noveltySum += -Math.log2(Math.max(popularity[itemIndex], 1) / data.numUsers);
+            }
+
+            ildGenreSum += BeyondAccuracyMetrics.intraListDistance(indices, (a, b) =>
+                BeyondAccuracyMetrics.cosine(data.items.get(itemIds[a]).genres, data.items.get(itemIds[b]).genres));
+            if (itemEmbeddings) {
+                ildEmbeddingSum += BeyondAccuracyMetrics.intraListDistance(indices, (a, b) => {
+                    let dot = 0;
+                    for (let d = 0; d < embDim; d++) {
+                        dot += itemEmbeddings[indices[a] * embDim + d] * itemEmbeddings[indices[b] * embDim + d];
+                    }
+                    return dot;
+                });
+            }
+
+            const historical = BeyondAccuracyMetrics.genreDistribution(history.get(userId) || [], data);
+            const recommended = BeyondAccuracyMetrics.genreDistribution(itemIds, data);
+            klSum += BeyondAccuracyMetrics.calibrationKL(historical, recommended);
+        }
+
+        return {
+            numUsers: numLists,
+            coverage: exposure.filter(count => count > 0).length / data.numItems,
+            gini: BeyondAccuracyMetrics.gini(exposure),
+            avgPopularity: recommendations > 0 ? popularitySum / recommendations : 0,
+            novelty: recommendations > 0 ? noveltySum / recommendations : 0,
+            ildGenre: numLists > 0 ? ildGenreSum / numLists : 0,
+            ildEmbedding: itemEmbeddings && numLists > 0 ? ildEmbeddingSum / numLists : null,
+            genreKL: numLists > 0 ? klSum / numLists : 0
+        };
+    }
+
+    // Number of ratings per item index
+    static itemPopularity(data) {
+        const counts = new Float64Array(data.numItems);
+        for (const rating of data.ratings) {
+            const itemIndex = data.itemIdToIndex.get(rating.itemId);
+            if (itemIndex !== undefined) counts[itemIndex]++;
+        }
+        return counts;
+    }
+
+    // Mean pairwise (1 - similarity) over a list; similarity(a, b) takes positions in the list
+    static intraListDistance(indices, similarity) {
+        let total = 0;
+        let pairs = 0;
+        for (let a = 0; a < indices.length; a++) {
+            for (let b = a + 1; b < indices.length; b++) {
+                total += 1 - similarity(a, b);
+                pairs++;
+            }
+        }
+        return pairs > 0 ? total / pairs : 0;
+    }
+
+    static cosine(x, y) {
+        let dot = 0;
+        let nx = 0;
+        let ny = 0;
+        for (let i = 0; i < x.length; i++) {
+            dot += x[i] * y[i];
+            nx += x[i] * x[i];
+            ny += y[i] * y[i];
+        }
+        return nx > 0 && ny > 0 ? dot / Math.sqrt(nx * ny) : 0;
+    }
+
+    // 0 = every item recommended equally often, 1 = all exposure on one item
+    static gini(counts) {
+        const sorted = Array.from(counts).sort((a, b) => a - b);
+        const n = sorted.length;
+        const total = sorted.reduce((sum, x) => sum + x, 0);
+        if (n === 0 || total === 0) return 0;
+        let weighted = 0;
+        sorted.forEach((x, i) => {
+            weighted += (2 * (i + 1) - n - 1) * x;
+        });
+        return weighted / (n * total);
+    }
+
+    // Each item spreads one unit of mass evenly over its genres
+    static genreDistribution(itemIds, data) {
+        const distribution = new Float64Array(data.genreDim);
+        let total = 0;
+        for (const itemId of itemIds) {
+            const genres = data.items.get(itemId).genres;
+            const numGenres = genres.reduce((sum, flag) => sum + flag, 0);
+            if (numGenres === 0) continue;
+            genres.forEach((flag, g) => {
+                distribution[g] += flag / numGenres;
+            });
+            total++;
+        }
+        return total > 0 ? distribution.map(x => x / total) : distribution;
+    }
+
+    // KL(history || recommended), with the recommended mix smoothed towards the history (Steck, 2018)
+    static calibrationKL(historical, recommended, alpha = 0.01) {
+        let kl = 0;
+        for (let g = 0; g < historical.length; g++) {
+            if (historical[g] === 0) continue;
+            const q = (1 - alpha) * recommended[g] + alpha * historical[g];
+            kl += historical[g] * Math.log(historical[g] / q);
+        }
+        return kl;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataSplitter, RankingMetrics, RankingEvaluator, RatingMetrics, BeyondAccuracyMetrics };
+}
@@ -0,0 +1,319 @@
+// Experiment configs, hyperparameter sweeps and a persistent results leaderboard
+// A config is a plain JSON object; it round-trips through JSON and the URL query string
+
+class ExperimentConfig {
+    // Numeric options: integer or float and their allowed range
+    static NUMBER_SPECS = {
+        embeddingDim: { type: 'int', min: 1 },
+        hiddenDim: { type: 'int', min: 1 },
+        towerDropout: { type: 'float', min: 0, max: 0.9 },
+        embeddingL2: { type: 'float', min: 0 },
+        batchSize: { type: 'int', min: 1 },
+        epochs: { type: 'int', min: 1 },
+        learningRate: { type: 'float', min: 0 },
+        numNegatives: { type: 'int', min: 1 },
+        popularityPower: { type: 'float', min: 0 },
+        temperature: { type: 'float', min: 0.01 },
+        idDropout: { type: 'float', min: 0, max: 1 },
+        maxHistory: { type: 'int', min: 1 },
+        minPositiveRating: { type: 'int', min: 1, max: 5 },
+        ratingLossWeight: { type: 'float', min: 0 },
+        knnNeighbors: { type: 'int', min: 0 },
+        easeLambda: { type: 'float', min: 0 },
+        alsFactors: { type: 'int', min: 1 },
+        alsIterations: { type: 'int', min: 1 },
+        alsRegularization: { type: 'float', min: 0 },
+        alsAlpha: { type: 'float', min: 0 },
+        validationK: { type: 'int', min: 1 },
+        earlyStoppingPatience: { type: 'int', min: 0 }
+    };
+
+    static SCHEMA = ExperimentConfig.buildSchema();
+
+    // models and splitMode, then every TwoTowerPipeline.DEFAULT_CONFIG option in its order; enum values
+    // come from the classes that implement them, so a new activation or sampler needs no change here
+    static buildSchema() {
+        const enums = {
+            activation: TwoTowerDeep.ACTIVATIONS,
+            lossType: TwoTowerPipeline.LOSS_TYPES,
+            negativeSampler: NegativeSampler.STRATEGIES,
+            userFeatureMode: TwoTowerDeep.USER_FEATURE_MODES,
+            itemFeatureMode: TwoTowerDeep.ITEM_FEATURE_MODES,
+            sequenceEncoder: TwoTowerSequential.ENCODERS
+        };
+        const schema = {
+            models: { type: 'list', values: [...TwoTowerPipeline.MODEL_NAMES, ...ClassicalRecommender.NAMES] },
+            splitMode: { type: 'enum', values: TwoTowerPipeline.SPLIT_MODES }
+        };
+        for (const [key, value] of Object.entries(TwoTowerPipeline.DEFAULT_CONFIG)) {
+            if (typeof value === 'boolean') {
+                schema[key] = { type: 'bool' };
+            } else if (typeof value === 'number') {
+                schema[key] = ExperimentConfig.NUMBER_SPECS[key];
+            } else if (key === 'towerLayers') {
+                schema[key] = { type: 'layers' };
+            } else if (enums[key]) {
+                schema[key] = { type: 'enum', values: enums[key] };
+            }
+            if (!schema[key]) {
+                throw new Error(`No experiment config type for pipeline option: ${key}`);
+            }
+        }
+        return schema;
+    }
+
+    static defaults() {
+        return {
+            models: ['baseline', 'deep'],
+            splitMode: 'none',
+            ...TwoTowerPipeline.DEFAULT_CONFIG
+        };
+    }
+
+    // Fills in defaults and checks every value; strings (from forms or URLs) are coerced
+    static normalize(raw = {}) {
+        const config = ExperimentConfig.defaults();
+        for (const [key, value] of Object.entries(raw)) {
+            const spec = ExperimentConfig.SCHEMA[key];
+            if (!spec) {
+                throw new Error(`Unknown config option: ${key}`);
+            }
+            config[key] = ExperimentConfig.coerce(key, value, spec);
+        }
+        if (config.models.length === 0) {
+            throw new Error('Config must train at least one model');
+        }
+
+        // Fixed key order keeps JSON, URLs and leaderboard rows comparable
+        const ordered = {};
+        for (const key of Object.keys(ExperimentConfig.SCHEMA)) {
+            ordered[key] = config[key];
+        }
+        return ordered;
+    }
+
+    static coerce(key, value, spec) {
+        if (spec.type === 'list') {
+            const list = Array.isArray(value) ? value :
+                String(value).split(',').map(v => v.trim()).filter(v => v);
+            for (const item of list) {
+                if (!spec.values.includes(item)) {
+                    throw new Error(`${key}: "${item}" is not one of ${spec.values.join(', ')}`);
+                }
+            }
+            // Canonical order, no duplicates
+            return spec.values.filter(v => list.includes(v));
+        }
+        if (spec.type === 'enum') {
+            if (!spec.values.includes(value)) {
+                throw new Error(`${key}: "${value}" is not one of ${spec.values.join(', ')}`);
+            }
+            return value;
+        }
+        if (spec.type === 'layers') {
+            // Canonical "128,64"; empty keeps the single hiddenDim layer
+            const text = Array.isArray(value) ? value.join(',') : String(value);
+            if (text.trim() === '') return '';
+            const widths = text.split(',').map(width => Number(width.trim()));
+            if (!widths.every(width => Number.isInteger(width) && width > 0)) {
+                throw new Error(`${key}: "${value}" is not a comma-separated list of layer widths`);
+            }
+            return widths.join(',');
+        }
+        if (spec.type === 'bool') {
+            if (typeof value === 'boolean') return value;
+            if (['true', 'yes', '1'].includes(String(value))) return true;
+            if (['false', 'no', '0'].includes(String(value))) return false;
+            throw new Error(`${key}: "${value}" is not a boolean`);
+        }
+
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number) || (spec.type === 'int' && !Number.isInteger(number))) {
+            throw new Error(`${key}: "${value}" is not ${spec.type === 'int' ? 'an integer' : 'a number'}`);
+        }
+        if (spec.min !== undefined && number < spec.min) {
+            throw new Error(`${key}: ${number} is below the minimum of ${spec.min}`);
+        }
+        if (spec.max !== undefined && number > spec.max) {
+            throw new Error(`${key}: ${number} is above the maximum of ${spec.max}`);
+        }
+        return number;
+    }
+
+    static toJSON(config) {
+        return JSON.stringify(config, null, 2);
+    }
+
+    static fromJSON(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Config is not valid JSON');
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Config must be a JSON object');
+        }
+        return ExperimentConfig.normalize(raw);
+    }
+
+    // Only values that differ from the defaults go into the URL
+    static toQueryString(config) {
+        const defaults = ExperimentConfig.defaults();
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(config)) {
+            const encoded = Array.isArray(value) ? value.join(',') : String(value);
+            const defaultEncoded = Array.isArray(defaults[key]) ? defaults[key].join(',') : String(defaults[key]);
+            if (encoded !== defaultEncoded) {
+                params.set(key, encoded);
+            }
+        }
+        return params.toString();
+    }
+
+    // Returns null when the query string carries no config options; other parameters are ignored
+    static fromQueryString(search) {
+        const params = new URLSearchParams(search);
+        const raw = {};
+        for (const [key, value] of params.entries()) {
+            if (ExperimentConfig.SCHEMA[key]) {
+                raw[key] = value;
+            }
+        }
+        return Object.keys(raw).length > 0 ? ExperimentConfig.normalize(raw) : null;
+    }
+
+    static describe(config) {
+        const defaults = ExperimentConfig.defaults();
+        const changed = Object.entries(config)
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key]))
+            .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`);
+        return changed.length > 0 ? changed.join(', ') : 'defaults';
+    }
+}
+
+class ExperimentSweep {
+    // space: { key: [values...] }, validated against the config schema
+    static parseSpace(text) {
+        let space;
+        try {
+            space = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Sweep space is not valid JSON');
+        }
+        if (!space || typeof space !== 'object' || Array.isArray(space)) {
+            throw new Error('Sweep space must be an object of { option: [values] }');
+        }
+        for (const [key, values] of Object.entries(space)) {
+            if (!ExperimentConfig.SCHEMA[key]) {
+                throw new Error(`Unknown config option in sweep: ${key}`);
+            }
+            if (!Array.isArray(values) || values.length === 0) {
+                throw new Error(`Sweep option ${key} needs a non-empty array of values`);
+            }
+        }
+        return space;
+    }
+
+    // Cartesian product of every option's values
+    static grid(baseConfig, space) {
+        let configs = [{ ...baseConfig }];
+        for (const [key, values] of Object.entries(space)) {
+            configs = configs.flatMap(config => values.map(value => ({ ...config, [key]: value })));
+        }
+        return ExperimentSweep.dedupe(configs.map(config => ExperimentConfig.normalize(config)));
+    }
+
+    // Distinct random draws from the grid; returns fewer when the grid is smaller than count
+    static random(baseConfig, space, count) {
+        const size = Object.values(space).reduce((total, values) => total * values.length, 1);
+        const seen = new Set();
+        const configs = [];
+        const maxTries = count * 20;
+        for (let tries = 0; configs.length < Math.min(count, size) && tries < maxTries; tries++) {
+            const config = { ...baseConfig };
+            for (const [key, values] of Object.entries(space)) {
+                config[key] = values[Math.floor(Math.random() * values.length)];
+            }
+            const normalized = ExperimentConfig.normalize(config);
+            const id = JSON.stringify(normalized);
+            if (seen.has(id)) continue;
+            seen.add(id);
+            configs.push(normalized);
+        }
+        return configs;
+    }
+
+    static dedupe(configs) {
+        const seen = new Set();
+        return configs.filter(config => {
+            const id = JSON.stringify(config);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+    }
+}
+
+class Leaderboard {
+    static STORAGE_KEY = 'two-tower-leaderboard';
+
+    constructor(storage = null) {
+        this.storage = storage;
+        this.entries = this.load();
+        this.saveError = null; // set when the last save failed (quota exceeded, storage disabled)
+    }
+
+    load() {
+        if (!this.storage) return [];
+        try {
+            const entries = JSON.parse(this.storage.getItem(Leaderboard.STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return []; // corrupt storage starts a fresh board
+        }
+    }
+
+    // A failed save keeps the entries in memory for this session
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(Leaderboard.STORAGE_KEY, JSON.stringify(this.entries));
+            this.saveError = null;
+        } catch (error) {
+            this.saveError = error;
+        }
+    }
+
+    // entry: { model, config, split, k, metrics, trainSeconds, sweep }
+    add(entry) {
+        const stored = {
+            id: `${Date.now().toString(36)}-${this.entries.length}`,
+            runAt: new Date().toISOString(),
+            ...entry
+        };
+        this.entries.push(stored);
+        this.save();
+        return stored;
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    // key is a metric name (recall, ndcg, ...) or an entry field (runAt, model, trainSeconds)
+    sorted(key, descending = true) {
+        const value = entry => entry.metrics && key in entry.metrics ? entry.metrics[key] : entry[key];
+        return [...this.entries].sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            const order = va < vb ? -1 : va > vb ? 1 : 0;
+            return descending ? -order : order;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExperimentConfig, ExperimentSweep, Leaderboard };
+}
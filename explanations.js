@@ -0,0 +1,95 @@
+// "Why was this recommended?": for each recommended movie, the user's rated movies closest to it
+// in the model's item-embedding space, its genre overlap with the history and, for the deep
+// model, how much of its item vector comes from each item-tower input
+
+class RecommendationExplainer {
+    // itemIndex: ItemEmbeddingIndex (classical recommenders have no embeddings: genres only)
+    // history: [{ itemIndex, rating }] the movies the user has rated
+    constructor(itemIndex, data, history, options = {}) {
+        this.itemIndex = itemIndex;
+        this.data = data;
+        this.history = history;
+        this.maxNeighbors = options.maxNeighbors || 3;
+
+        // Rated movies per genre
+        this.genreCounts = new Array(data.genreDim).fill(0);
+        for (const { itemIndex: rated } of history) {
+            this.itemGenres(rated).forEach((flag, g) => { this.genreCounts[g] += flag; });
+        }
+    }
+
+    // recs: [{ id }] -> one explanation per rec, in the same order
+    async explain(recs) {
+        const itemIndices = recs.map(rec => this.data.itemIdToIndex.get(rec.id));
+        const neighbors = this.itemIndex.embeddings && this.history.length > 0 ?
+            await this.nearestRated(itemIndices) : null;
+        const towerInputs = this.itemIndex.model && this.itemIndex.model.itemInputAttribution ?
+            await this.towerInputs(itemIndices) : null;
+
+        return itemIndices.map((itemIndex, i) => ({
+            neighbors: neighbors ? neighbors[i] : null,
+            genres: this.genreOverlap(itemIndex),
+            towerInputs: towerInputs ? towerInputs[i] : null
+        }));
+    }
+
+    // Closest rated movies by cosine similarity. contribution is a movie's share of the positive
+    // similarity between the recommendation and the whole history, i.e. of the history's pull towards it.
+    async nearestRated(itemIndices) {
+        const similarities = tf.tidy(() => {
+            const recEmbs = tf.gather(this.itemIndex.embeddings, tf.tensor1d(itemIndices, 'int32'));
+            const ratedEmbs = tf.gather(this.itemIndex.embeddings,
+                tf.tensor1d(this.history.map(entry => entry.itemIndex), 'int32'));
+            return recEmbs.matMul(ratedEmbs, false, true); // [recs, history]
+        });
+
+        try {
+            return (await similarities.array()).map(row => {
+                const pull = row.reduce((sum, similarity) => sum + Math.max(similarity, 0), 0);
+                return row
+                    .map((similarity, h) => ({
+                        itemId: this.data.indexToItemId[this.history[h].itemIndex],
+                        rating: this.history[h].rating,
+                        similarity,
+                        contribution: pull > 0 ? Math.max(similarity, 0) / pull : 0
+                    }))
+                    .sort((a, b) => b.similarity - a.similarity)
+                    .slice(0, this.maxNeighbors);
+            });
+        } finally {
+            similarities.dispose();
+        }
+    }
+
+    // shared: the movie's genres the user has rated, with how many rated movies have each;
+    // unseen: its genres that appear nowhere in the history
+    genreOverlap(itemIndex) {
+        const shared = [];
+        const unseen = [];
+        this.itemGenres(itemIndex).forEach((flag, g) => {
+            if (!flag) return;
+            const name = this.data.genreNames[g];
+            if (this.genreCounts[g] > 0) {
+                shared.push({ name, count: this.genreCounts[g] });
+            } else {
+                unseen.push(name);
+            }
+        });
+        return { shared, unseen, historySize: this.history.length };
+    }
+
+    async towerInputs(itemIndices) {
+        const itemTensor = tf.tensor2d(itemIndices, [itemIndices.length, 1], 'int32');
+        const genresTensor = tf.tensor2d(itemIndices.map(itemIndex => this.itemGenres(itemIndex)),
+            [itemIndices.length, this.data.genreDim], 'float32');
+        try {
+            return await this.itemIndex.model.itemInputAttribution(itemTensor, genresTensor);
+        } finally {
+            tf.dispose([itemTensor, genresTensor]);
+        }
+    }
+
+    itemGenres(itemIndex) {
+        return this.data.items.get(this.data.indexToItemId[itemIndex]).genres;
+    }
+}
@@ -0,0 +1,49 @@
+// Fold-in: a known user's vector recomputed from an edited rating history, item towers frozen
+// ID-based user towers get a few fine-tuning steps from the trained row; the sequential
+// tower simply re-encodes the edited history
+
+class UserFoldIn {
+    constructor(itemIndex) {
+        this.itemIndex = itemIndex; // ItemEmbeddingIndex of a trained model
+        this.model = itemIndex.model;
+    }
+
+    // history: [{ itemIndex, rating, timestamp }] -> L2-normalized [1, embDim]
+    async userVector(userIndex, history, options = {}) {
+        if (history.length === 0) {
+            throw new Error('The edited history is empty; add at least one rating');
+        }
+
+        if (this.model.historyRow) {
+            const sequence = [...history]
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .map(entry => entry.itemIndex);
+            return tf.tidy(() => {
+                const row = tf.tensor2d([this.model.historyRow(sequence)], [1, this.model.maxHistory], 'int32');
+                return l2Normalize(this.model.userForward(row), -1);
+            });
+        }
+
+        const trained = this.itemIndex.userEmbeddings([userIndex]);
+        try {
+            return await new ColdStartRecommender(this.itemIndex).fineTuneUserVector(history, {
+                steps: 30,
+                ...options,
+                init: trained
+            });
+        } finally {
+            trained.dispose();
+        }
+    }
+
+    // Top-k unseen items for the edited history
+    async recommend(userIndex, history, k = 10, options = {}) {
+        const userVector = await this.userVector(userIndex, history, options);
+        try {
+            const [ranked] = await this.itemIndex.search(userVector, k, [history.map(entry => entry.itemIndex)]);
+            return ranked;
+        } finally {
+            userVector.dispose();
+        }
+    }
+}
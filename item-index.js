@@ -0,0 +1,145 @@
+// Precomputed item-embedding index for fast top-K retrieval
+// Item tower runs once; scoring is a single matmul + tf.topk per batch of users
+
+class ItemEmbeddingIndex {
+    constructor(model, modelType, data) {
+        this.model = model;
+        this.modelType = modelType;
+        this.data = data;
+        this.numItems = data.numItems;
+        this.indexToItemId = data.indexToItemId;
+        this.embeddings = null; // [numItems, embDim], L2-normalized
+        this.itemBias = null; // [numItems] learned item biases, for models that have them
+    }
+
+    build() {
+        this.dispose();
+        this.embeddings = tf.tidy(() => {
+            const itemIndices = Array.from({ length: this.numItems }, (_, i) => i);
+            const itemTensor = tf.tensor2d(itemIndices, [this.numItems, 1], 'int32');
+
+            let itemEmbs;
+            if (this.modelType === 'deep') {
+                const genreVectors = this.indexToItemId.map(itemId => this.data.items.get(itemId).genres);
+                const genresTensor = tf.tensor2d(genreVectors, [this.numItems, this.data.genreDim], 'float32');
+                itemEmbs = this.model.itemForward(itemTensor, genresTensor);
+            } else {
+                itemEmbs = this.model.itemForward(itemTensor);
+            }
+            return l2Normalize(itemEmbs, -1);
+        });
+        this.copyItemBias();
+        return this;
+    }
+
+    copyItemBias() {
+        this.itemBias = this.model.itemBias ? this.model.itemBias.clone() : null;
+    }
+
+    // Wraps item embeddings computed elsewhere (e.g. by the training worker) as [numItems * embDim] values
+    static fromEmbeddings(model, modelType, data, values) {
+        const index = new ItemEmbeddingIndex(model, modelType, data);
+        index.embeddings = tf.tensor2d(values, [data.numItems, values.length / data.numItems]);
+        index.copyItemBias();
+        return index;
+    }
+
+    userEmbeddings(userIndices) {
+        return tf.tidy(() => {
+            // Sequential models take their users' recent histories instead of user indices
+            const userTensor = this.model.userInputs ?
+                this.model.userInputs(userIndices) :
+                tf.tensor2d(userIndices, [userIndices.length, 1], 'int32');
+            return l2Normalize(this.model.userForward(userTensor), -1);
+        });
+    }
+
+    // userIndices: number[], excluded: Array<Iterable<itemIndex>> per user (or null)
+    // Returns per user a ranked array of { itemIndex, itemId, score }
+    async recommend(userIndices, k, excluded = null, batchSize = 256) {
+        const results = [];
+        for (let start = 0; start < userIndices.length; start += batchSize) {
+            const batchUsers = userIndices.slice(start, start + batchSize);
+            const batchExcluded = excluded ? excluded.slice(start, start + batchSize) : null;
+
+            const userEmbs = this.userEmbeddings(batchUsers);
+            try {
+                results.push(...await this.search(userEmbs, k, batchExcluded));
+            } finally {
+                tf.dispose(userEmbs);
+            }
+        }
+        return results;
+    }
+
+    // Nearest items to one item by cosine similarity (no item bias); the item itself is always excluded
+    async similarItems(itemIndex, k, excluded = []) {
+        const query = this.embeddings.slice([itemIndex, 0], [1, -1]);
+        try {
+            const [ranked] = await this.search(query, k, [[itemIndex, ...excluded]], false);
+            return ranked;
+        } finally {
+            query.dispose();
+        }
+    }
+
+    // userEmbs: [B, embDim] tensor (any norm); excluded items get -Infinity before topk
+    // Scores are cosine similarities plus the item bias, when the model learned one
+    async search(userEmbs, k, excluded = null, useBias = true) {
+        const batch = userEmbs.shape[0];
+        const topK = Math.min(k, this.numItems);
+
+        const { values, indices } = tf.tidy(() => {
+            let scores = l2Normalize(userEmbs, -1).matMul(this.embeddings, false, true); // [B, N]
+            if (useBias && this.itemBias) {
+                scores = scores.add(this.itemBias.reshape([1, -1]));
+            }
+            if (excluded) {
+                scores = scores.add(this.buildMask(excluded, batch));
+            }
+            return tf.topk(scores, topK);
+        });
+
+        try {
+            const [scoreRows, indexRows] = await Promise.all([values.array(), indices.array()]);
+            return indexRows.map((row, b) => {
+                const ranked = [];
+                for (let j = 0; j < row.length; j++) {
+                    const score = scoreRows[b][j];
+                    if (score === -Infinity) break; // only excluded items remain
+                    ranked.push({ itemIndex: row[j], itemId: this.indexToItemId[row[j]], score });
+                }
+                return ranked;
+            });
+        } finally {
+            tf.dispose([values, indices]);
+        }
+    }
+
+    buildMask(excluded, batch) {
+        const mask = new Float32Array(batch * this.numItems);
+        for (let b = 0; b < batch; b++) {
+            if (!excluded[b]) continue;
+            const offset = b * this.numItems;
+            for (const itemIndex of excluded[b]) {
+                mask[offset + itemIndex] = -Infinity;
+            }
+        }
+        return tf.tensor2d(mask, [batch, this.numItems]);
+    }
+
+    dispose() {
+        if (this.embeddings) {
+            this.embeddings.dispose();
+            this.embeddings = null;
+        }
+        if (this.itemBias) {
+            this.itemBias.dispose();
+            this.itemBias = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItemEmbeddingIndex };
+}
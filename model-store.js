@@ -0,0 +1,363 @@
+// Persistence for trained two-tower models
+// Bundles weights + id maps + training config, stored in IndexedDB or as a JSON file
+
+class ModelStore {
+    static FORMAT = 'two-tower-bundle';
+    static VERSION = 1;
+    static DB_NAME = 'two-tower-recommender';
+    static STORE_NAME = 'bundles';
+
+    // models: { baseline?: TwoTowerBaseline, deep?: TwoTowerDeep, sequential?: TwoTowerSequential }
+    static serialize(models, data, config, lossHistory) {
+        const serializedModels = {};
+        for (const [modelType, model] of Object.entries(models)) {
+            if (!model) continue;
+            serializedModels[modelType] = {
+                dims: ModelStore.getModelDims(model),
+                weights: model.getTrainableVariables().map(v => ({
+                    name: v.name,
+                    shape: v.shape,
+                    values: ModelStore.encodeFloat32(v.dataSync())
+                }))
+            };
+        }
+
+        return {
+            format: ModelStore.FORMAT,
+            version: ModelStore.VERSION,
+            savedAt: new Date().toISOString(),
+            config,
+            lossHistory,
+            userIdToIndex: Array.from(data.userIdToIndex.entries()),
+            itemIdToIndex: Array.from(data.itemIdToIndex.entries()),
+            models: serializedModels
+        };
+    }
+
+    // Checks a bundle against the loaded data and decodes its weights without creating variables.
+    // Throws with a readable message on any mismatch.
+    static validate(bundle, data) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== ModelStore.FORMAT) {
+            throw new Error('Not a two-tower model bundle');
+        }
+        if (bundle.version !== ModelStore.VERSION) {
+            throw new Error(`Unsupported bundle version ${bundle.version} (expected ${ModelStore.VERSION})`);
+        }
+        if (!bundle.models || Object.keys(bundle.models).length === 0) {
+            throw new Error('Bundle contains no models');
+        }
+
+        ModelStore.checkIdMap(bundle.userIdToIndex, data.userIdToIndex, 'user');
+        ModelStore.checkIdMap(bundle.itemIdToIndex, data.itemIdToIndex, 'item');
+
+        // Decode and validate everything before creating any variables
+        const decoded = {};
+        for (const [modelType, entry] of Object.entries(bundle.models)) {
+            if (!entry || !entry.dims || !Array.isArray(entry.weights)) {
+                throw new Error(`Bundle entry for ${modelType} model is corrupt`);
+            }
+            ModelStore.checkDims(modelType, entry.dims);
+            if (entry.dims.numUsers !== data.numUsers || entry.dims.numItems !== data.numItems) {
+                throw new Error(`${modelType} model was trained on ${entry.dims.numUsers} users / ${entry.dims.numItems} items, loaded data has ${data.numUsers} / ${data.numItems}`);
+            }
+            if (entry.dims.genreDim !== undefined && entry.dims.genreDim !== data.genreDim) {
+                throw new Error(`${modelType} model was trained with ${entry.dims.genreDim} genres, loaded data has ${data.genreDim}`);
+            }
+
+            const weights = new Map();
+            for (const weight of entry.weights) {
+                if (!weight || typeof weight.name !== 'string' || !Array.isArray(weight.shape)) {
+                    throw new Error(`Bundle entry for ${modelType} model has a corrupt weight`);
+                }
+                const values = ModelStore.decodeFloat32(weight.values);
+                const expectedSize = weight.shape.reduce((a, b) => a * b, 1);
+                if (values.length !== expectedSize) {
+                    throw new Error(`Weight ${weight.name} of ${modelType} model is corrupt (${values.length} values for shape [${weight.shape}])`);
+                }
+                weights.set(weight.name, { shape: weight.shape, values });
+            }
+            decoded[modelType] = { dims: entry.dims, weights };
+        }
+
+        return {
+            models: decoded,
+            config: bundle.config || null,
+            lossHistory: bundle.lossHistory || { baseline: [], deep: [], sequential: [] }
+        };
+    }
+
+    // Builds models from a validated bundle: { models, config, lossHistory }
+    static restore(validated, data) {
+        const models = {};
+        try {
+            for (const [modelType, { dims, weights }] of Object.entries(validated.models)) {
+                const model = ModelStore.createModel(modelType, dims, data);
+                models[modelType] = model;
+
+                for (const variable of model.getTrainableVariables()) {
+                    const weight = weights.get(variable.name);
+                    if (!weight) {
+                        throw new Error(`Weight ${variable.name} missing from ${modelType} model`);
+                    }
+                    if (!tf.util.arraysEqual(weight.shape, variable.shape)) {
+                        throw new Error(`Weight ${variable.name} has shape [${weight.shape}], expected [${variable.shape}]`);
+                    }
+                    const values = tf.tensor(weight.values, weight.shape, 'float32');
+                    variable.assign(values);
+                    values.dispose();
+                }
+            }
+        } catch (error) {
+            Object.values(models).forEach(model => model.dispose());
+            throw error;
+        }
+
+        return {
+            models,
+            config: validated.config,
+            lossHistory: validated.lossHistory
+        };
+    }
+
+    // Architecture fields are checked before any model is built, so a corrupt bundle fails
+    // with a bundle error instead of somewhere inside a tower constructor
+    static checkDims(modelType, dims) {
+        const isCount = value => Number.isInteger(value) && value > 0;
+        const isRate = value => typeof value === 'number' && value >= 0 && value < 1;
+        const checks = {
+            numUsers: isCount,
+            numItems: isCount,
+            embDim: isCount,
+            ratingHead: value => typeof value === 'boolean',
+            temperature: value => typeof value === 'number' && value > 0 && Number.isFinite(value)
+        };
+        if (modelType === 'deep') {
+            Object.assign(checks, {
+                hiddenDim: isCount,
+                genreDim: isCount,
+                layers: value => Array.isArray(value) && value.length > 0 && value.every(isCount),
+                activation: value => TwoTowerDeep.ACTIVATIONS.includes(value),
+                layerNorm: value => typeof value === 'boolean',
+                residual: value => typeof value === 'boolean',
+                biases: value => typeof value === 'boolean',
+                dropout: isRate,
+                idDropout: isRate,
+                embeddingL2: value => typeof value === 'number' && value >= 0 && Number.isFinite(value),
+                userFeatureMode: value => TwoTowerDeep.USER_FEATURE_MODES.includes(value),
+                userFeatureDims: value => value === null || (typeof value === 'object' &&
+                    ['age', 'gender', 'occupation', 'zipRegion'].every(key => isCount(value[key]))),
+                itemFeatureMode: value => TwoTowerDeep.ITEM_FEATURE_MODES.includes(value)
+            });
+        }
+        if (modelType === 'sequential') {
+            Object.assign(checks, {
+                maxHistory: isCount,
+                encoder: value => TwoTowerSequential.ENCODERS.includes(value)
+            });
+        }
+
+        // Fields missing from older bundles fall back to the constructor defaults
+        for (const [field, isValid] of Object.entries(checks)) {
+            if (dims[field] !== undefined && !isValid(dims[field])) {
+                throw new Error(`Bundle entry for ${modelType} model has an invalid ${field}: ${JSON.stringify(dims[field])}`);
+            }
+        }
+        for (const field of ['numUsers', 'numItems', 'embDim']) {
+            if (dims[field] === undefined) {
+                throw new Error(`Bundle entry for ${modelType} model has no ${field}`);
+            }
+        }
+    }
+
+    static getModelDims(model) {
+        const dims = {
+            numUsers: model.numUsers,
+            numItems: model.numItems,
+            embDim: model.embDim
+        };
+        if (model.ratingHead) {
+            dims.ratingHead = true;
+        }
+        if (model.learnedTemperature) {
+            dims.temperature = model.learnedTemperature;
+        }
+        if (model instanceof TwoTowerDeep) {
+            dims.hiddenDim = model.hiddenDim;
+            dims.layers = model.layers;
+            dims.activation = model.activation;
+            dims.layerNorm = model.layerNorm;
+            dims.residual = model.residual;
+            // Regularization is kept too, so a restored model fine-tunes the way it was trained
+            dims.dropout = model.dropout;
+            dims.idDropout = model.idDropout;
+            dims.embeddingL2 = model.embeddingL2;
+            dims.biases = !!model.itemBias;
+            dims.genreDim = model.genreDim;
+            dims.userFeatureMode = model.userFeatureMode;
+            dims.userFeatureDims = model.userFeatureDims;
+            dims.itemFeatureMode = model.itemFeatureMode;
+        }
+        if (model instanceof TwoTowerSequential) {
+            dims.maxHistory = model.maxHistory;
+            dims.encoder = model.encoder;
+        }
+        return dims;
+    }
+
+    static createModel(modelType, dims, data) {
+        const model = ModelStore.createTowers(modelType, dims, data);
+        if (dims.ratingHead) {
+            // Mean rating is a placeholder; the restored ratingBias weight replaces it
+            model.ratingHead = new RatingHead(dims.numItems, dims.embDim, modelType);
+        }
+        if (dims.temperature) {
+            model.learnedTemperature = dims.temperature;
+        }
+        return model;
+    }
+
+    static createTowers(modelType, dims, data) {
+        if (modelType === 'baseline') {
+            return new TwoTowerBaseline(dims.numUsers, dims.numItems, dims.embDim);
+        }
+        if (modelType === 'deep') {
+            const userFeatureMode = dims.userFeatureMode || 'id';
+            if (userFeatureMode !== 'id' && !data.userFeatureIndex) {
+                throw new Error('Deep model uses user features, but the loaded dataset has no user demographics');
+            }
+            return new TwoTowerDeep(dims.numUsers, dims.numItems, dims.embDim, dims.hiddenDim, dims.genreDim, {
+                userFeatureMode,
+                userFeatureDims: dims.userFeatureDims,
+                userFeatureTable: data.userFeatureIndex,
+                itemFeatureMode: dims.itemFeatureMode || 'id',
+                itemContent: data.itemContent,
+                layers: dims.layers, // bundles from before layer specs have one hiddenDim layer
+                activation: dims.activation,
+                layerNorm: dims.layerNorm,
+                residual: dims.residual,
+                dropout: dims.dropout,
+                idDropout: dims.idDropout,
+                embeddingL2: dims.embeddingL2,
+                biases: dims.biases
+            });
+        }
+        if (modelType === 'sequential') {
+            const model = new TwoTowerSequential(dims.numUsers, dims.numItems, dims.embDim, {
+                maxHistory: dims.maxHistory,
+                encoder: dims.encoder
+            });
+            // Serve with each user's full history in the loaded data
+            const { sequences } = TwoTowerSequential.buildSequences(data.ratings, data.userIdToIndex, data.itemIdToIndex);
+            model.setHistories(sequences);
+            return model;
+        }
+        throw new Error(`Unknown model type in bundle: ${modelType}`);
+    }
+
+    static checkIdMap(entries, currentMap, kind) {
+        if (!Array.isArray(entries) || entries.length !== currentMap.size) {
+            throw new Error(`Bundle ${kind} id map does not match the loaded data`);
+        }
+        for (const [id, index] of entries) {
+            if (currentMap.get(id) !== index) {
+                throw new Error(`Bundle ${kind} id map does not match the loaded data (${kind} ${id})`);
+            }
+        }
+    }
+
+    static encodeFloat32(values) {
+        const bytes = new Uint8Array(Float32Array.from(values).buffer);
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    static decodeFloat32(encoded) {
+        if (typeof encoded !== 'string') {
+            throw new Error('Weight values are not base64 encoded');
+        }
+        let binary;
+        try {
+            binary = atob(encoded);
+        } catch (error) {
+            throw new Error('Weight values are not valid base64');
+        }
+        if (binary.length % 4 !== 0) {
+            throw new Error('Weight values have a truncated byte length');
+        }
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Float32Array(bytes.buffer);
+    }
+
+    // IndexedDB
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(ModelStore.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(ModelStore.STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static async saveToIndexedDB(bundle, key = 'latest') {
+        const db = await ModelStore.openDatabase();
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(ModelStore.STORE_NAME, 'readwrite');
+                tx.objectStore(ModelStore.STORE_NAME).put(bundle, key);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    static async loadFromIndexedDB(key = 'latest') {
+        const db = await ModelStore.openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const tx = db.transaction(ModelStore.STORE_NAME, 'readonly');
+                const request = tx.objectStore(ModelStore.STORE_NAME).get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    // Files
+
+    static download(bundle, filename = 'two-tower-models.json') {
+        const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    static async readFile(file) {
+        const text = await file.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelStore };
+}
@@ -0,0 +1,122 @@
+// Negative sampling strategies for BPR training
+// other items of the same batch, uniform over the catalog, popularity^power,
+// hard negatives from the model's current top-K
+
+class NegativeSampler {
+    static STRATEGIES = ['in-batch', 'uniform', 'popularity', 'hard'];
+
+    // ratings: the training interactions; options.positiveRatings: the interactions whose items are never
+    // a user's negatives, when ratings is only a sample of them (defaults to ratings)
+    constructor(data, ratings, options = {}) {
+        this.strategy = options.strategy || 'uniform';
+        this.numNegatives = Math.max(1, options.numNegatives || 1);
+        this.popularityPower = options.popularityPower ?? 0.75;
+        this.hardTopK = options.hardTopK || 50;
+        this.maxTries = 50;
+
+        if (!NegativeSampler.STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown negative sampling strategy: ${this.strategy}`);
+        }
+
+        this.data = data;
+        this.numItems = data.numItems;
+
+        // Items each user has rated in training (by index) are never sampled as their negatives.
+        // Held-out interactions are left out, so the split does not shape training.
+        this.userPositives = new Map();
+        for (const { userId, itemId } of options.positiveRatings || ratings) {
+            const userIndex = data.userIdToIndex.get(userId);
+            if (!this.userPositives.has(userIndex)) {
+                this.userPositives.set(userIndex, new Set());
+            }
+            this.userPositives.get(userIndex).add(data.itemIdToIndex.get(itemId));
+        }
+
+        if (this.strategy === 'popularity') {
+            this.buildPopularityTable(ratings);
+        }
+
+        this.hardNegatives = null; // Map userIndex -> itemIndex[]
+    }
+
+    buildPopularityTable(ratings) {
+        const counts = new Float64Array(this.numItems);
+        for (const { itemId } of ratings) {
+            counts[this.data.itemIdToIndex.get(itemId)]++;
+        }
+
+        // Cumulative distribution over count^power, sampled by binary search
+        this.cumulative = new Float64Array(this.numItems);
+        let total = 0;
+        for (let i = 0; i < this.numItems; i++) {
+            total += Math.pow(counts[i], this.popularityPower);
+            this.cumulative[i] = total;
+        }
+        this.cumulativeTotal = total;
+    }
+
+    // Hard negatives are the highest-scoring unrated items under the current model
+    async refreshHardNegatives(itemIndex) {
+        const userIndices = Array.from(this.userPositives.keys());
+        const excluded = userIndices.map(u => this.userPositives.get(u));
+        const ranked = await itemIndex.recommend(userIndices, this.hardTopK, excluded);
+
+        this.hardNegatives = new Map();
+        userIndices.forEach((u, i) => {
+            this.hardNegatives.set(u, ranked[i].map(r => r.itemIndex));
+        });
+    }
+
+    // batchItems: the batch's positive item indices, which the in-batch strategy draws from
+    // Returns Int32Array [userIndices.length * numNegatives], user-major
+    sample(userIndices, batchItems = null) {
+        const negatives = new Int32Array(userIndices.length * this.numNegatives);
+        for (let b = 0; b < userIndices.length; b++) {
+            const userIndex = userIndices[b];
+            const positives = this.userPositives.get(userIndex) || new Set();
+            for (let j = 0; j < this.numNegatives; j++) {
+                negatives[b * this.numNegatives + j] = this.sampleOne(userIndex, positives, batchItems);
+            }
+        }
+        return negatives;
+    }
+
+    sampleOne(userIndex, positives, batchItems) {
+        const hardList = this.strategy === 'hard' && this.hardNegatives ?
+            this.hardNegatives.get(userIndex) : null;
+
+        let candidate = 0;
+        for (let tries = 0; tries < this.maxTries; tries++) {
+            if (this.strategy === 'in-batch') {
+                candidate = batchItems[Math.floor(Math.random() * batchItems.length)];
+            } else if (hardList && hardList.length > 0) {
+                candidate = hardList[Math.floor(Math.random() * hardList.length)];
+            } else if (this.strategy === 'popularity' && this.cumulativeTotal > 0) {
+                candidate = this.samplePopular();
+            } else {
+                candidate = Math.floor(Math.random() * this.numItems);
+            }
+            if (!positives.has(candidate)) return candidate;
+        }
+        return candidate; // user has rated (almost) everything, or the whole batch; accept a collision
+    }
+
+    samplePopular() {
+        const target = Math.random() * this.cumulativeTotal;
+        let lo = 0;
+        let hi = this.numItems - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.cumulative[mid] > target) {
+                hi = mid;
+            } else {
+                lo = mid + 1;
+            }
+        }
+        return lo;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NegativeSampler };
+}
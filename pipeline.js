@@ -0,0 +1,523 @@
+// Training and evaluation pipeline shared by the browser app and the Node CLI
+// Everything is driven by a plain config object; progress is reported through callbacks
+
+class TwoTowerPipeline {
+    static MODEL_NAMES = ['baseline', 'deep', 'sequential'];
+    static LOSS_TYPES = ['softmax', 'bpr'];
+    static SPLIT_MODES = ['none', 'leave-last-out', 'temporal', 'cold-items'];
+
+    static DEFAULT_CONFIG = {
+        embeddingDim: 32,
+        hiddenDim: 64,
+        towerLayers: '',
+        activation: 'relu',
+        towerDropout: 0,
+        layerNorm: false,
+        residual: false,
+        embeddingL2: 0,
+        biasTerms: false,
+        batchSize: 512,
+        epochs: 10,
+        learningRate: 0.001,
+        lossType: 'softmax',
+        negativeSampler: 'uniform',
+        numNegatives: 1,
+        popularityPower: 0.75,
+        temperature: 1.0,
+        learnTemperature: false,
+        logQCorrection: false,
+        maskDuplicates: false,
+        userFeatureMode: 'id',
+        itemFeatureMode: 'id',
+        idDropout: 0,
+        maxHistory: 20,
+        sequenceEncoder: 'mean',
+        minPositiveRating: 1,
+        weightByRating: false,
+        explicitNegatives: false,
+        ratingHead: false,
+        ratingLossWeight: 1.0,
+        knnNeighbors: 50,
+        easeLambda: 250,
+        alsFactors: 32,
+        alsIterations: 10,
+        alsRegularization: 0.1,
+        alsAlpha: 10,
+        validateEachEpoch: false,
+        validationK: 10,
+        earlyStoppingPatience: 0,
+        restoreBestWeights: true
+    };
+
+    static createSplit(data, mode) {
+        if (mode === 'leave-last-out') {
+            return DataSplitter.leaveLastOut(data.ratings);
+        }
+        if (mode === 'temporal') {
+            return DataSplitter.temporalCutoff(data.ratings, 0.2);
+        }
+        if (mode === 'cold-items') {
+            return DataSplitter.coldItems(data.ratings, 0.1);
+        }
+        if (mode && mode !== 'none') {
+            throw new Error(`Unknown split mode: ${mode}`);
+        }
+        return null;
+    }
+
+    static createModel(modelName, data, config) {
+        const model = TwoTowerPipeline.createTowers(modelName, data, config);
+        if (config.ratingHead) {
+            const meanRating = data.ratings.reduce((sum, r) => sum + r.rating, 0) / (data.ratings.length || 1);
+            model.ratingHead = new RatingHead(data.numItems, config.embeddingDim, modelName, meanRating);
+        }
+        return model;
+    }
+
+    static createTowers(modelName, data, config) {
+        if (modelName === 'baseline') {
+            return new TwoTowerBaseline(data.numUsers, data.numItems, config.embeddingDim);
+        }
+        if (modelName === 'deep') {
+            return new TwoTowerDeep(
+                data.numUsers,
+                data.numItems,
+                config.embeddingDim,
+                config.hiddenDim,
+                data.genreDim,
+                TwoTowerPipeline.deepModelOptions(data, config)
+            );
+        }
+        if (modelName === 'sequential') {
+            return new TwoTowerSequential(data.numUsers, data.numItems, config.embeddingDim, {
+                maxHistory: config.maxHistory,
+                encoder: config.sequenceEncoder
+            });
+        }
+        throw new Error(`Unknown model: ${modelName}`);
+    }
+
+    static deepModelOptions(data, config) {
+        if (config.userFeatureMode !== 'id' && !data.userFeatureIndex) {
+            throw new Error('User features need a users file (u.user or users.dat), which this dataset does not have');
+        }
+        return {
+            userFeatureMode: config.userFeatureMode,
+            userFeatureDims: data.userFeatureDims,
+            userFeatureTable: data.userFeatureIndex,
+            itemFeatureMode: config.itemFeatureMode,
+            itemContent: data.itemContent,
+            idDropout: config.idDropout || 0,
+            layers: TwoTowerPipeline.parseLayers(config.towerLayers, config.hiddenDim),
+            activation: config.activation || 'relu',
+            dropout: config.towerDropout || 0,
+            layerNorm: Boolean(config.layerNorm),
+            residual: Boolean(config.residual),
+            embeddingL2: config.embeddingL2 || 0,
+            biases: Boolean(config.biasTerms)
+        };
+    }
+
+    // "128,64" -> [128, 64]; empty means a single hidden layer of hiddenDim
+    static parseLayers(text, hiddenDim) {
+        const spec = String(text || '').trim();
+        if (!spec) return [hiddenDim];
+        const widths = spec.split(',').map(width => Number(width.trim()));
+        if (!widths.every(width => Number.isInteger(width) && width > 0)) {
+            throw new Error(`Tower layers must be comma-separated positive widths, got "${text}"`);
+        }
+        return widths;
+    }
+
+    static softmaxOptions(data, ratings, config) {
+        return {
+            temperature: config.temperature || 1.0,
+            learnTemperature: Boolean(config.learnTemperature),
+            maskDuplicates: Boolean(config.maskDuplicates),
+            itemLogQ: config.logQCorrection ?
+                TwoTowerTrainer.itemLogFrequencies(ratings, data.itemIdToIndex, data.numItems) :
+                null,
+            ratingLossWeight: config.ratingLossWeight ?? 1.0
+        };
+    }
+
+    // Ranking-loss weight per rating: 0 below the positive threshold, optionally scaled by rating / mean rating.
+    // Returns null when every example counts the same.
+    static exampleWeights(ratings, config) {
+        const threshold = config.minPositiveRating || 1;
+        if (threshold <= 1 && !config.weightByRating) return null;
+        const meanRating = ratings.reduce((sum, r) => sum + r.rating, 0) / (ratings.length || 1);
+        return (rating) => (rating.rating >= threshold ? 1 : 0) * (config.weightByRating ? rating.rating / meanRating : 1);
+    }
+
+    // Item indices each user rated below the positive threshold (explicit BPR negatives)
+    static lowRatedItems(data, ratings, config) {
+        const lowRated = new Map();
+        for (const rating of ratings) {
+            if (rating.rating >= config.minPositiveRating) continue;
+            const userIndex = data.userIdToIndex.get(rating.userId);
+            if (!lowRated.has(userIndex)) lowRated.set(userIndex, []);
+            lowRated.get(userIndex).push(data.itemIdToIndex.get(rating.itemId));
+        }
+        return lowRated;
+    }
+
+    // Swaps half of each user's sampled negatives for items that user rated low, when there are any
+    static mixExplicitNegatives(negatives, userBatch, lowRated, numNegatives) {
+        userBatch.forEach((userIndex, b) => {
+            const items = lowRated.get(userIndex);
+            if (!items) return;
+            for (let j = 0; j < numNegatives; j++) {
+                if (Math.random() < 0.5) {
+                    negatives[b * numNegatives + j] = items[Math.floor(Math.random() * items.length)];
+                }
+            }
+        });
+        return negatives;
+    }
+
+    static checkRatingOptions(config) {
+        if (!config.explicitNegatives) return;
+        if (config.lossType !== 'bpr' || config.negativeSampler === 'in-batch') {
+            throw new Error('Explicit negatives need the BPR loss with a sampled negative strategy (not in-batch)');
+        }
+        if ((config.minPositiveRating || 1) <= 1) {
+            throw new Error('Explicit negatives need a positive-rating threshold above 1');
+        }
+    }
+
+    static createNegativeSampler(data, ratings, config, positiveRatings = ratings) {
+        return new NegativeSampler(data, ratings, {
+            strategy: config.negativeSampler,
+            numNegatives: config.numNegatives || 1,
+            popularityPower: config.popularityPower ?? 0.75,
+            positiveRatings
+        });
+    }
+
+    // Each user's last training interaction, held out for per-epoch validation.
+    // The test split stays untouched, so early stopping never peeks at it.
+    static createValidationSplit(ratings) {
+        return DataSplitter.leaveLastOut(ratings);
+    }
+
+    // callbacks: {
+    //   onBatch({ epoch, batch, numBatches, loss }), onEpoch({ epoch, loss }),
+    //   onValidation({ epoch, metrics, best }), shouldStop() -> true to cancel between batches,
+    //   beforeBatch() -> awaited before every batch
+    // }
+    // historyRatings: all training interactions when ratings is only a sample of them (fine-tuning); the
+    // sequential model's histories and the items never drawn as a user's negatives come from it
+    // Returns { epochLosses, validation, bestEpoch, stopReason ('user' | 'early-stopping' | null), temperature }
+    static async trainModel(model, modelName, data, ratings, config, callbacks = {}, historyRatings = null) {
+        const validationSplit = config.validateEachEpoch ? TwoTowerPipeline.createValidationSplit(ratings) : null;
+        const fullRatings = ratings;
+        if (validationSplit) {
+            ratings = validationSplit.train;
+        }
+        if (config.earlyStoppingPatience > 0 && !validationSplit) {
+            throw new Error('Early stopping needs per-epoch validation turned on');
+        }
+        TwoTowerPipeline.checkRatingOptions(config);
+        const weightOf = TwoTowerPipeline.exampleWeights(ratings, config);
+        const lowRated = config.explicitNegatives ? TwoTowerPipeline.lowRatedItems(data, ratings, config) : null;
+
+        const optimizer = tf.train.adam(config.learningRate);
+        const trainer = new TwoTowerTrainer(model, optimizer, config.lossType,
+            TwoTowerPipeline.softmaxOptions(data, ratings, config));
+        const sampler = config.lossType === 'bpr' ?
+            TwoTowerPipeline.createNegativeSampler(data, ratings, config, historyRatings || ratings) : null;
+
+        const numBatches = Math.ceil(ratings.length / config.batchSize);
+        const epochLosses = [];
+        const validation = [];
+        let bestRecall = -Infinity;
+        let bestEpoch = null;
+        let bestWeights = null;
+        let stopReason = null;
+
+        // Sequential model: each example's user input is the history before that interaction
+        let sequences = null;
+        if (modelName === 'sequential') {
+            sequences = TwoTowerSequential.buildSequences(historyRatings || ratings, data.userIdToIndex, data.itemIdToIndex);
+            model.setHistories(sequences.sequences);
+        }
+
+        try {
+            for (let epoch = 0; epoch < config.epochs && !stopReason; epoch++) {
+                let epochLoss = 0;
+                let batches = 0;
+
+                // Hard negatives come from the model's current top-K, refreshed every epoch
+                if (sampler && sampler.strategy === 'hard') {
+                    const index = new ItemEmbeddingIndex(model, modelName, data).build();
+                    await sampler.refreshHardNegatives(index);
+                    index.dispose();
+                }
+
+                // Shuffle ratings for each epoch
+                const shuffledRatings = TwoTowerPipeline.shuffleArray([...ratings]);
+
+                for (let i = 0; i < shuffledRatings.length; i += config.batchSize) {
+                    if (callbacks.beforeBatch) {
+                        await callbacks.beforeBatch(); // e.g. holds here while training is paused
+                    }
+                    if (callbacks.shouldStop && callbacks.shouldStop()) {
+                        stopReason = 'user';
+                        break;
+                    }
+                    const batchRatings = shuffledRatings.slice(i, i + config.batchSize);
+
+                    // Prepare batch tensors
+                    const userBatch = [];
+                    const itemBatch = [];
+                    const genresBatch = [];
+
+                    for (const rating of batchRatings) {
+                        userBatch.push(data.userIdToIndex.get(rating.userId));
+                        itemBatch.push(data.itemIdToIndex.get(rating.itemId));
+
+                        if (modelName === 'deep') {
+                            genresBatch.push(data.items.get(rating.itemId).genres);
+                        }
+                    }
+
+                    const userTensor = sequences ?
+                        tf.tensor2d(
+                            batchRatings.map(rating => model.historyRow(
+                                sequences.sequences.get(data.userIdToIndex.get(rating.userId)),
+                                sequences.positions.get(rating)
+                            )),
+                            [batchRatings.length, model.maxHistory],
+                            'int32'
+                        ) :
+                        tf.tensor2d(userBatch, [batchRatings.length, 1], 'int32');
+                    const itemTensor = tf.tensor2d(itemBatch, [batchRatings.length, 1], 'int32');
+                    let genresTensor = null;
+
+                    if (modelName === 'deep' && genresBatch.length > 0) {
+                        genresTensor = tf.tensor2d(genresBatch, [batchRatings.length, data.genreDim], 'float32');
+                    }
+
+                    let negItemTensor = null;
+                    let negGenresTensor = null;
+                    if (sampler) {
+                        let negatives = sampler.sample(userBatch, itemBatch);
+                        if (lowRated) {
+                            negatives = TwoTowerPipeline.mixExplicitNegatives(negatives, userBatch, lowRated, sampler.numNegatives);
+                        }
+                        negItemTensor = tf.tensor2d(negatives, [negatives.length, 1], 'int32');
+                        if (modelName === 'deep') {
+                            const negGenres = Array.from(negatives, idx => data.items.get(data.indexToItemId[idx]).genres);
+                            negGenresTensor = tf.tensor2d(negGenres, [negatives.length, data.genreDim], 'float32');
+                        }
+                    }
+
+                    const weightTensor = weightOf ? tf.tensor1d(batchRatings.map(weightOf)) : null;
+                    const ratingTensor = model.ratingHead ? tf.tensor1d(batchRatings.map(r => r.rating)) : null;
+
+                    let loss;
+                    try {
+                        loss = await trainer.trainStep(userTensor, itemTensor, genresTensor, negItemTensor, negGenresTensor, {
+                            weights: weightTensor,
+                            ratings: ratingTensor
+                        });
+                    } finally {
+                        tf.dispose([userTensor, itemTensor, genresTensor, negItemTensor, negGenresTensor, weightTensor, ratingTensor].filter(t => t));
+                    }
+
+                    epochLoss += loss;
+                    batches++;
+
+                    if (callbacks.onBatch) {
+                        callbacks.onBatch({ epoch, batch: batches, numBatches, loss });
+                    }
+
+                    await tf.nextFrame(); // Allow UI updates
+                }
+
+                if (batches === 0) break;
+                epochLoss /= batches;
+                epochLosses.push(epochLoss);
+                if (callbacks.onEpoch) {
+                    callbacks.onEpoch({ epoch, loss: epochLoss });
+                }
+                if (!validationSplit || stopReason) continue;
+
+                const metrics = await TwoTowerPipeline.evaluateModel(model, modelName, data, validationSplit, config.validationK);
+                const improved = metrics.recall > bestRecall;
+                if (improved) {
+                    bestRecall = metrics.recall;
+                    bestEpoch = epoch;
+                    if (config.restoreBestWeights) {
+                        tf.dispose(bestWeights);
+                        bestWeights = trainer.getTrainableVariables().map(v => v.clone()); // incl. a learned temperature
+                    }
+                }
+                validation.push({ epoch, ...metrics });
+                if (callbacks.onValidation) {
+                    callbacks.onValidation({ epoch, metrics, best: improved });
+                }
+
+                const isLastEpoch = epoch === config.epochs - 1;
+                if (config.earlyStoppingPatience > 0 && !isLastEpoch && epoch - bestEpoch >= config.earlyStoppingPatience) {
+                    stopReason = 'early-stopping';
+                }
+            }
+
+            if (bestWeights && bestEpoch !== epochLosses.length - 1) {
+                trainer.getTrainableVariables().forEach((v, i) => v.assign(bestWeights[i]));
+            }
+
+            // Later updates (updateModel) continue from the learned softmax scale
+            if (trainer.logTemperature) {
+                model.learnedTemperature = trainer.getTemperature();
+            }
+
+            // Serve the sequential model with the full training history, validation items included
+            if (sequences && validationSplit) {
+                model.setHistories(TwoTowerSequential.buildSequences(fullRatings, data.userIdToIndex, data.itemIdToIndex).sequences);
+            }
+
+            return {
+                epochLosses,
+                validation,
+                bestEpoch,
+                stopReason,
+                temperature: trainer.logTemperature ? trainer.getTemperature() : null
+            };
+        } finally {
+            tf.dispose(bestWeights);
+            trainer.dispose();
+            optimizer.dispose(); // Adam moment estimates
+        }
+    }
+
+    // Adds embedding rows for the users and items MovieLensData.append introduced
+    static growModel(model, data) {
+        model.grow(data.numUsers, data.numItems, {
+            userFeatureTable: data.userFeatureIndex,
+            itemContent: data.itemContent
+        });
+    }
+
+    // Fine-tunes a grown model on new interactions plus a random replay of older training ones
+    // (replayRatio per new interaction), so old embeddings keep being fitted while the new rows learn.
+    // update: { newRatings, trainRatings (all training interactions, new ones included), epochs, replayRatio }
+    // Training starts from the model's learned temperature, if it learned one
+    // Returns trainModel's result plus replayed (how many older interactions were mixed in)
+    static async updateModel(model, modelName, data, update, config, callbacks = {}) {
+        const { newRatings, trainRatings, epochs = 3, replayRatio = 1 } = update;
+        const added = new Set(newRatings);
+        const replay = TwoTowerPipeline.shuffleArray(trainRatings.filter(rating => !added.has(rating)))
+            .slice(0, Math.round(newRatings.length * replayRatio));
+
+        const result = await TwoTowerPipeline.trainModel(model, modelName, data, [...newRatings, ...replay],
+            {
+                ...config,
+                epochs,
+                temperature: model.learnedTemperature || config.temperature,
+                validateEachEpoch: false,
+                earlyStoppingPatience: 0
+            },
+            callbacks,
+            trainRatings);
+        return { ...result, replayed: replay.length };
+    }
+
+    // Builds a throwaway ItemEmbeddingIndex for the model's current weights
+    static async evaluateModel(model, modelName, data, split, k = 10) {
+        const index = new ItemEmbeddingIndex(model, modelName, data).build();
+        try {
+            return await TwoTowerPipeline.evaluate(index, data, split, k);
+        } finally {
+            index.dispose();
+        }
+    }
+
+    // Ranks each eligible user's unseen items with an ItemEmbeddingIndex and averages top-K metrics.
+    // Models with a rating head also get RMSE / MAE on the held-out ratings.
+    static async evaluate(index, data, split, k = 10, onProgress = null) {
+        const evaluator = new RankingEvaluator(split, k);
+
+        // Cold-item slice: rank only among the items held out of training
+        const nonCandidates = [];
+        if (split.candidateItemIds) {
+            for (let i = 0; i < data.numItems; i++) {
+                if (!split.candidateItemIds.has(data.indexToItemId[i])) {
+                    nonCandidates.push(i);
+                }
+            }
+        }
+
+        const metrics = await evaluator.evaluate(
+            async (userIds, topK, seenSets) => {
+                const userIndices = userIds.map(userId => data.userIdToIndex.get(userId));
+                const excluded = seenSets.map(seen => TwoTowerPipeline.toItemIndices(data, seen).concat(nonCandidates));
+                const results = await index.recommend(userIndices, topK, excluded);
+                return results.map(ranked => ranked.map(rec => rec.itemId));
+            },
+            onProgress
+        );
+        if (index.model?.ratingHead) {
+            const { rmse, mae } = await TwoTowerPipeline.evaluateRatings(index, data, split.test);
+            Object.assign(metrics, { rmse, mae });
+        }
+        return metrics;
+    }
+
+    // Rating head predictions (clipped to 1-5) against the given ratings
+    static async evaluateRatings(index, data, ratings, batchSize = 1024) {
+        const predicted = [];
+        for (let start = 0; start < ratings.length; start += batchSize) {
+            const batch = ratings.slice(start, start + batchSize);
+            const predictions = tf.tidy(() => {
+                const itemIdx = tf.tensor1d(batch.map(r => data.itemIdToIndex.get(r.itemId)), 'int32');
+                const userEmbs = index.userEmbeddings(batch.map(r => data.userIdToIndex.get(r.userId)));
+                return index.model.ratingHead
+                    .predict(userEmbs, tf.gather(index.embeddings, itemIdx), itemIdx)
+                    .clipByValue(1, 5);
+            });
+            predicted.push(...await predictions.data());
+            predictions.dispose();
+        }
+        return RatingMetrics.compute(predicted, ratings.map(r => r.rating));
+    }
+
+    // Top-K lists for every user with history (seen items excluded), summarised by BeyondAccuracyMetrics.
+    // With a split, a user's history is their training interactions; otherwise all of their ratings.
+    static async beyondAccuracy(index, data, k = 10, split = null) {
+        const history = split ? split.trainItemsByUser : new Map(
+            Array.from(data.userRatings.entries(), ([userId, ratings]) => [userId, new Set(ratings.map(r => r.itemId))])
+        );
+        const userIds = Array.from(history.keys());
+        const ranked = await index.recommend(
+            userIds.map(userId => data.userIdToIndex.get(userId)),
+            k,
+            userIds.map(userId => TwoTowerPipeline.toItemIndices(data, history.get(userId)))
+        );
+        const lists = new Map(userIds.map((userId, i) => [userId, ranked[i].map(rec => rec.itemId)]));
+        return { k, ...BeyondAccuracyMetrics.compute(lists, data, history, index.embeddings ? index.embeddings.dataSync() : null) };
+    }
+
+    static toItemIndices(data, itemIds) {
+        const indices = [];
+        for (const itemId of itemIds) {
+            const index = data.itemIdToIndex.get(itemId);
+            if (index !== undefined) indices.push(index);
+        }
+        return indices;
+    }
+
+    static shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TwoTowerPipeline };
+}
@@ -0,0 +1,20 @@
+// Seeded pseudo-random numbers for the parts that must be reproducible
+// (cold-item split, ALS initialization, IVF centroids, embedding layouts)
+
+class SeededRandom {
+    // mulberry32: returns a function yielding floats in [0, 1)
+    static create(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
@@ -0,0 +1,117 @@
+// Post-retrieval re-ranking: hard business filters, then MMR diversification or genre calibration
+// Takes a retrieval candidate pool of { itemId, score } (best first) and returns the final top-k
+
+class Reranker {
+    static METHODS = ['none', 'mmr', 'calibrated'];
+
+    // options: {
+    //   method: 'none' | 'mmr' | 'calibrated', strength: 0 (pure relevance) .. 1,
+    //   yearFrom, yearTo, excludedGenres: genre indices, minRatings
+    // }
+    // itemEmbeddings: L2-normalized Float32Array [numItems * dim], needed for MMR
+    constructor(data, itemEmbeddings, options = {}) {
+        if (options.method && !Reranker.METHODS.includes(options.method)) {
+            throw new Error(`Unknown re-ranking method: ${options.method}`);
+        }
+        this.data = data;
+        this.itemEmbeddings = itemEmbeddings;
+        this.embDim = itemEmbeddings ? itemEmbeddings.length / data.numItems : 0;
+        this.method = options.method || 'none';
+        this.strength = options.strength ?? 0.3;
+        this.yearFrom = options.yearFrom ?? null;
+        this.yearTo = options.yearTo ?? null;
+        this.excludedGenres = options.excludedGenres || [];
+        this.minRatings = options.minRatings || 0;
+        this.popularity = this.minRatings > 0 ? BeyondAccuracyMetrics.itemPopularity(data) : null;
+    }
+
+    // True when re-ranking can change the plain top-k
+    isActive() {
+        return this.method !== 'none' || this.yearFrom !== null || this.yearTo !== null ||
+            this.excludedGenres.length > 0 || this.minRatings > 0;
+    }
+
+    // Movies without a known year drop out as soon as a year bound is set
+    passesFilters(itemId) {
+        const item = this.data.items.get(itemId);
+        if ((this.yearFrom !== null || this.yearTo !== null) && !item.year) return false;
+        if (this.yearFrom !== null && item.year < this.yearFrom) return false;
+        if (this.yearTo !== null && item.year > this.yearTo) return false;
+        if (this.excludedGenres.some(g => item.genres[g])) return false;
+        if (this.popularity && this.popularity[this.data.itemIdToIndex.get(itemId)] < this.minRatings) return false;
+        return true;
+    }
+
+    // candidates: [{ itemId, score, ... }] best first; historyItemIds: the user's rated items
+    rerank(candidates, k, historyItemIds = []) {
+        const pool = candidates.filter(c => this.passesFilters(c.itemId));
+        if (this.method === 'mmr') return this.mmr(pool, k);
+        if (this.method === 'calibrated') return this.calibrate(pool, k, historyItemIds);
+        return pool.slice(0, k);
+    }
+
+    // Maximal marginal relevance: (1 - strength) * relevance - strength * max similarity to what is already picked
+    mmr(pool, k) {
+        if (!this.itemEmbeddings) {
+            throw new Error('MMR re-ranking needs item embeddings');
+        }
+        const relevance = Reranker.normalizeScores(pool);
+        return Reranker.greedy(pool, k, (candidate, selected) => {
+            let maxSimilarity = 0;
+            for (const picked of selected) {
+                maxSimilarity = Math.max(maxSimilarity, this.similarity(candidate.itemId, picked.itemId));
+            }
+            return (1 - this.strength) * relevance.get(candidate) - this.strength * maxSimilarity;
+        });
+    }
+
+    // Calibrated recommendations (Steck, 2018): (1 - strength) * total relevance - strength * KL(history || list)
+    calibrate(pool, k, historyItemIds) {
+        const target = BeyondAccuracyMetrics.genreDistribution(historyItemIds, this.data);
+        const relevance = Reranker.normalizeScores(pool);
+        return Reranker.greedy(pool, k, (candidate, selected) => {
+            const scoreSum = selected.reduce((sum, s) => sum + relevance.get(s), relevance.get(candidate));
+            const listIds = selected.map(s => s.itemId).concat(candidate.itemId);
+            const kl = BeyondAccuracyMetrics.calibrationKL(target, BeyondAccuracyMetrics.genreDistribution(listIds, this.data));
+            return (1 - this.strength) * scoreSum - this.strength * kl;
+        });
+    }
+
+    // Candidate -> score min-max scaled to [0, 1] within the pool. Scorers differ in range (cosine, popularity
+    // counts, unbounded EASE/ALS scores), so the strength trade-off only means the same thing on this scale.
+    static normalizeScores(pool) {
+        const scores = pool.map(c => c.score);
+        const min = Math.min(...scores);
+        const range = Math.max(...scores) - min;
+        return new Map(pool.map(c => [c, range > 0 ? (c.score - min) / range : 1]));
+    }
+
+    // Picks the best-valued candidate k times; value(candidate, selected) is re-evaluated every round
+    static greedy(pool, k, value) {
+        const remaining = [...pool];
+        const selected = [];
+        while (selected.length < k && remaining.length > 0) {
+            let bestIdx = 0;
+            let bestValue = -Infinity;
+            remaining.forEach((candidate, i) => {
+                const v = value(candidate, selected);
+                if (v > bestValue) {
+                    bestValue = v;
+                    bestIdx = i;
+                }
+            });
+            selected.push(...remaining.splice(bestIdx, 1));
+        }
+        return selected;
+    }
+
+    similarity(itemIdA, itemIdB) {
+        const a = this.data.itemIdToIndex.get(itemIdA);
+        const b = this.data.itemIdToIndex.get(itemIdB);
+        let dot = 0;
+        for (let d = 0; d < this.embDim; d++) {
+            dot += this.itemEmbeddings[a * this.embDim + d] * this.itemEmbeddings[b * this.embDim + d];
+        }
+        return dot;
+    }
+}
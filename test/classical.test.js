@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The scorers yield to the browser with tf.nextFrame between rows and iterations
+global.tf = require('@tensorflow/tfjs');
+Object.assign(global, require('../random.js'));
+const { ClassicalRecommender, EaseScorer, AlsScorer } = require('../classical.js');
+
+const near = (actual, expected) => {
+    assert.strictEqual(actual.length, expected.length);
+    expected.forEach((value, i) => assert.ok(Math.abs(actual[i] - value) < 1e-6, `${actual[i]} != ${value} at ${i}`));
+};
+
+// Two taste clusters: users 0-2 watch items 0 and 1, users 3-5 items 2 and 3;
+// users 0 and 3 have only seen the first item of theirs
+const histories = [[0], [0, 1], [0, 1], [2], [2, 3], [2, 3]].map(items => Int32Array.from(items));
+
+function clusterData() {
+    const ids = n => Array.from({ length: n }, (_, i) => i + 1);
+    return {
+        numUsers: 6,
+        numItems: 4,
+        userIdToIndex: new Map(ids(6).map((id, i) => [id, i])),
+        itemIdToIndex: new Map(ids(4).map((id, i) => [id, i])),
+        indexToItemId: ids(4)
+    };
+}
+
+const clusterRatings = () => histories.flatMap((items, u) =>
+    Array.from(items, i => ({ userId: u + 1, itemId: i + 1, rating: 5, timestamp: 0 })));
+
+test('EASE matches the closed form on two items', async () => {
+    // X^T X + I = [[3, 1], [1, 2]], P = [[2, -1], [-1, 3]] / 5, B_ij = -P_ij / P_jj
+    const ease = new EaseScorer(2, { lambda: 1 });
+    await ease.fit([Int32Array.from([0, 1]), Int32Array.from([0])]);
+    near(ease.weights, [0, 1 / 3, 1 / 2, 0]);
+    near(ease.score(Int32Array.from([0])), [0, 1 / 3]);
+    near(ease.score(Int32Array.from([0, 1])), [1 / 2, 1 / 3]);
+});
+
+test('EASE refuses catalogs above MAX_ITEMS', async () => {
+    const ease = new EaseScorer(EaseScorer.MAX_ITEMS + 1);
+    await assert.rejects(ease.fit([]), /EASE inverts an items x items matrix/);
+});
+
+test('Cholesky solve matches a hand-solved system', () => {
+    // [[4, 2], [2, 3]] x = [2, 1] has x = [0.5, 0]
+    near(AlsScorer.choleskySolve(Float64Array.from([4, 2, 2, 3]), Float64Array.from([2, 1]), 2), [0.5, 0]);
+});
+
+for (const name of ['ease', 'als']) {
+    test(`${name} recommends the unseen item of the user's cluster first`, async () => {
+        const recommender = await new ClassicalRecommender(name, clusterData(), { easeLambda: 1, alsFactors: 2 })
+            .fit(clusterRatings());
+        const excluded = [histories[0], histories[3]];
+        const [first, fourth] = await recommender.recommend([0, 3], 1, excluded);
+        assert.deepStrictEqual([first[0].itemId, fourth[0].itemId], [2, 4]);
+        assert.strictEqual(recommender.recommendHistory([2], 1)[0].itemId, 4);
+    });
+}
+
+test('ALS is deterministic for a seed', async () => {
+    const fit = async () => {
+        const als = new AlsScorer(4, { factors: 2, iterations: 3, seed: 7 });
+        await als.fit(histories);
+        return Array.from(als.itemFactors);
+    };
+    assert.deepStrictEqual(await fit(), await fit());
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../cli.js');
+
+test('--name=a=b splits on the first "=" only', () => {
+    const { options, config } = parseArgs(['train', '--data=./runs/a=b', '--columns=user=uid,item=sku', '--epochs=3']);
+    assert.strictEqual(options.data, './runs/a=b');
+    assert.strictEqual(options.columns, 'user=uid,item=sku');
+    assert.strictEqual(config.epochs, 3);
+});
+
+test('values may follow as the next argument, and aliases and types are resolved', () => {
+    const { command, options, config } = parseArgs(['train', '--model', 'deep,ease', '--loss', 'bpr',
+        '--bias-terms', 'yes', '--max-interactions', '500', '--k=20']);
+    assert.strictEqual(command, 'train');
+    assert.deepStrictEqual([options.model, options.maxInteractions, options.k], ['deep,ease', 500, 20]);
+    assert.deepStrictEqual([config.lossType, config.biasTerms], ['bpr', true]);
+    assert.strictEqual(config.epochs, TwoTowerPipeline.DEFAULT_CONFIG.epochs);
+});
+
+test('parseArgs rejects bad arguments', () => {
+    assert.throws(() => parseArgs(['train', '--epochs']), /Missing value for --epochs/);
+    assert.throws(() => parseArgs(['train', '--epochs=ten']), /--epochs expects a number, got "ten"/);
+    assert.throws(() => parseArgs(['train', '--epoch=3']), /Unknown option: --epoch/);
+    assert.throws(() => parseArgs(['train', 'deep']), /Unexpected argument: deep/);
+    assert.strictEqual(parseArgs(['train', '--help']).command, 'help');
+});
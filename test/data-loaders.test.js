@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DatasetLoader } = require('../data-loaders.js');
+
+// Runs a format's adapter on inline file texts
+const parse = (format, files, options = {}) => {
+    const issues = DatasetLoader.createIssues();
+    const source = DatasetLoader.getFormat(format).parse(
+        files,
+        DatasetLoader.fileNames(format),
+        { maxInteractions: Infinity, ...options },
+        issues
+    );
+    return { ...source, issues };
+};
+
+const pairs = ratings => ratings.map(r => [r.userId, r.itemId, r.rating, r.timestamp]);
+const genreFlags = (...genres) => DatasetLoader.ML100K_GENRES.map(g => genres.includes(g) ? 1 : 0).join('|');
+
+test('ml-100k parses u.item flags, u.data and u.user, and reports a short ratings line', () => {
+    const source = parse('ml-100k', {
+        items: [
+            `1|Toy Story (1995)|01-Jan-1995||http://x|${genreFlags('Animation', 'Comedy')}`,
+            `2|GoldenEye (1995)|01-Jan-1995||http://x|${genreFlags('Action')}`
+        ].join('\n'),
+        ratings: '196\t1\t3\t881250949\n186\t2\n22\t2\t1\t878887116\n',
+        users: '196|49|M|writer|55105\n'
+    });
+
+    assert.deepStrictEqual(source.items.map(i => [i.id, i.title, i.genres]), [
+        [1, 'Toy Story (1995)', ['Animation', 'Comedy']],
+        [2, 'GoldenEye (1995)', ['Action']]
+    ]);
+    assert.deepStrictEqual(pairs(source.ratings), [[196, 1, 3, 881250949], [22, 2, 1, 878887116]]);
+    assert.deepStrictEqual(source.users, [{ userId: 196, age: 49, gender: 'M', occupation: 'writer', zip: '55105' }]);
+    assert.deepStrictEqual(source.issues.list, [
+        { file: 'u.data', line: 2, message: 'expected 4 fields separated by "\t", found 2' }
+    ]);
+});
+
+test('ml-100k rejects genre flags other than 0 and 1', () => {
+    const flags = genreFlags('Action').replace(/^0/, '2');
+    const source = parse('ml-100k', { items: `1|Odd (1995)|||x|${flags}`, ratings: '' });
+    assert.strictEqual(source.items.length, 0);
+    assert.deepStrictEqual(source.issues.list, [{ file: 'u.item', line: 1, message: 'genre flags must be 0 or 1' }]);
+});
+
+test('ml-1m parses "::" files and swaps users.dat gender and age into place', () => {
+    const source = parse('ml-1m', {
+        items: '1::Toy Story (1995)::Animation|Children\'s|Comedy\n2::Jumanji (1995)::Adventure\n',
+        ratings: '1::1::5::978300760\n\n1::2::4\n2::2::3::978300762\n',
+        users: '1::F::1::10::48067\n'
+    });
+
+    assert.deepStrictEqual(source.items[0].genres, ['Animation', "Children's", 'Comedy']);
+    assert.deepStrictEqual(pairs(source.ratings), [[1, 1, 5, 978300760], [2, 2, 3, 978300762]]);
+    assert.deepStrictEqual(source.users[0], { userId: 1, age: 1, gender: 'F', occupation: '10', zip: '48067' });
+    // Blank lines still count towards line numbers
+    assert.deepStrictEqual(source.issues.list, [
+        { file: 'ratings.dat', line: 3, message: 'expected 4 fields separated by "::", found 3' }
+    ]);
+});
+
+test('ml-latest skips headers, reads quoted titles and counts the header in line numbers', () => {
+    const source = parse('ml-latest', {
+        items: [
+            'movieId,title,genres',
+            '11,"American President, The (1995)",Comedy|Drama|Romance',
+            '12,"Say ""Hi"" (2001)",(no genres listed)'
+        ].join('\n'),
+        ratings: 'userId,movieId,rating,timestamp\n1,11,4.5,964982703\n1,12,abc,964982704\n'
+    });
+
+    assert.deepStrictEqual(source.items.map(i => [i.id, i.title, i.genres]), [
+        [11, 'American President, The (1995)', ['Comedy', 'Drama', 'Romance']],
+        [12, 'Say "Hi" (2001)', []]
+    ]);
+    assert.deepStrictEqual(pairs(source.ratings), [[1, 11, 4.5, 964982703]]);
+    assert.deepStrictEqual(source.issues.list, [{ file: 'ratings.csv', line: 3, message: 'invalid rating "abc"' }]);
+});
+
+test('csv maps named columns, drops an empty rating column and falls back to line numbers for time', () => {
+    const source = parse('csv', {
+        ratings: 'sku,uid,when\nA-1,u1,2021-01-02T00:00:00Z\nA-2\nA-3,u1,yesterday\n'
+    }, { columns: 'user=uid,item=sku,rating=,timestamp=', delimiter: ',' });
+
+    assert.deepStrictEqual(pairs(source.ratings), [['u1', 'A-1', 1, 2], ['u1', 'A-3', 1, 4]]);
+    assert.deepStrictEqual(source.issues.list.map(i => [i.line, i.message]), [
+        [3, 'expected at least 2 fields, found 1']
+    ]);
+});
+
+test('csv reads numbered columns without a header and a typed \\t delimiter', () => {
+    const source = parse('csv', {
+        ratings: '7\t70\t1609459200\t3\n8\t80\t1609459201\tx\n'
+    }, { columns: 'user=0,item=1,timestamp=2,rating=3', delimiter: '\\t' });
+
+    assert.deepStrictEqual(pairs(source.ratings), [[7, 70, 3, 1609459200]]);
+    assert.deepStrictEqual(source.issues.list, [{ file: 'interactions.csv', line: 2, message: 'invalid rating "x"' }]);
+});
+
+test('csv reports a mapped column missing from the header', () => {
+    assert.throws(
+        () => parse('csv', { ratings: 'a,b\n1,2\n' }, { columns: 'user=customer,item=b' }),
+        /Column "customer" \(user\) is not in the header of interactions.csv/
+    );
+});
+
+test('jsonl maps keys and reports invalid JSON with its line number', () => {
+    const source = parse('jsonl', {
+        ratings: [
+            '{"uid": "a", "sku": 1, "stars": 4, "ts": 100}',
+            '{"uid": "b", "sku": 2, "stars": 5',
+            '[1, 2]',
+            '{"uid": "b", "sku": 3, "stars": 2, "ts": "1970-01-01T00:03:20Z"}'
+        ].join('\n'),
+        items: '{"id": 1, "title": "One", "genres": ["Drama"], "year": 1999}\n{"sku": 3, "genres": "A|B"}\n'
+    }, { columns: 'user=uid,item=sku,rating=stars,timestamp=ts' });
+
+    assert.deepStrictEqual(pairs(source.ratings), [['a', 1, 4, 100], ['b', 3, 2, 200]]);
+    assert.deepStrictEqual(source.items.map(i => [i.id, i.title, i.year, i.genres]), [
+        [1, 'One', 1999, ['Drama']],
+        [3, 'Item 3', undefined, ['A', 'B']]
+    ]);
+    assert.deepStrictEqual(source.issues.list.map(i => [i.line, i.message.split(' (')[0]]), [
+        [2, 'invalid JSON'],
+        [3, 'expected a JSON object']
+    ]);
+});
+
+test('maxInteractions stops after that many accepted rows', () => {
+    const source = parse('ml-1m', { ratings: '1::1::5::1\nbad\n1::2::5::2\n1::3::5::3\n' }, { maxInteractions: 2 });
+    assert.deepStrictEqual(source.ratings.map(r => r.itemId), [1, 2]);
+    assert.strictEqual(source.issues.count, 1);
+});
+
+test('parseColumnMapping fills defaults and rejects unknown or missing keys', () => {
+    assert.deepStrictEqual(DatasetLoader.parseColumnMapping('rating=stars'),
+        { user: 'userId', item: 'itemId', rating: 'stars', timestamp: 'timestamp' });
+    assert.throws(() => DatasetLoader.parseColumnMapping('score=x'), /Unknown column "score"/);
+    assert.throws(() => DatasetLoader.parseColumnMapping('user='), /needs both user and item/);
+});
+
+test('issues keep the first 100 entries and count every one', () => {
+    const lines = Array.from({ length: 150 }, () => 'bad').join('\n');
+    const source = parse('ml-1m', { ratings: lines });
+    assert.strictEqual(source.issues.count, 150);
+    assert.strictEqual(source.issues.list.length, 100);
+    assert.strictEqual(DatasetLoader.formatIssue(source.issues.list[99]),
+        'ratings.dat line 100: expected 4 fields separated by "::", found 1');
+});
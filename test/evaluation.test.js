@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+// The modules expect each other as globals, like the browser script tags
+Object.assign(global, require('../random.js'));
+const { DataSplitter, RankingMetrics, RankingEvaluator } = require('../evaluation.js');
+
+const rating = (userId, itemId, timestamp) => ({ userId, itemId, rating: 4, timestamp });
+
+const assertMetrics = (actual, expected) => {
+    for (const [name, value] of Object.entries(expected)) {
+        assert.ok(Math.abs(actual[name] - value) < 1e-12, `${name}: ${actual[name]} != ${value}`);
+    }
+};
+
+test('RankingMetrics scores hits at ranks 2 and 4', () => {
+    const metrics = RankingMetrics.compute(['a', 'b', 'c', 'd'], new Set(['b', 'd']), 4);
+    assertMetrics(metrics, {
+        recall: 1,
+        ndcg: (1 / Math.log2(3) + 1 / Math.log2(5)) / (1 + 1 / Math.log2(3)),
+        map: (1 / 2 + 2 / 4) / 2,
+        mrr: 1 / 2,
+        hitRate: 1
+    });
+});
+
+test('RankingMetrics only counts the top K', () => {
+    const metrics = RankingMetrics.compute(['a', 'b', 'c', 'd'], new Set(['b', 'd']), 3);
+    assertMetrics(metrics, {
+        recall: 1 / 2,
+        ndcg: (1 / Math.log2(3)) / (1 + 1 / Math.log2(3)),
+        map: (1 / 2) / 2,
+        mrr: 1 / 2,
+        hitRate: 1
+    });
+});
+
+test('RankingMetrics caps the ideal DCG and MAP denominator at K', () => {
+    const metrics = RankingMetrics.compute(['a', 'x'], new Set(['a', 'b', 'c']), 2);
+    assertMetrics(metrics, {
+        recall: 1 / 3,
+        ndcg: 1 / (1 + 1 / Math.log2(3)),
+        map: 1 / 2,
+        mrr: 1,
+        hitRate: 1
+    });
+});
+
+test('RankingMetrics is zero without hits', () => {
+    const metrics = RankingMetrics.compute(['a', 'b'], new Set(['z']), 2);
+    assertMetrics(metrics, { recall: 0, ndcg: 0, map: 0, mrr: 0, hitRate: 0 });
+});
+
+test('leaveLastOut holds out each user\'s latest interaction', () => {
+    const split = DataSplitter.leaveLastOut([
+        rating(1, 10, 5), rating(1, 11, 9), rating(1, 12, 7),
+        rating(2, 20, 3), rating(2, 21, 3), // tie: the larger item id is held out
+        rating(3, 30, 1) // too few interactions: train only
+    ]);
+
+    assert.deepStrictEqual(split.test.map(r => [r.userId, r.itemId]), [[1, 11], [2, 21]]);
+    assert.deepStrictEqual([...split.trainItemsByUser.get(1)], [10, 12]);
+    assert.deepStrictEqual([...split.trainItemsByUser.get(3)], [30]);
+    assert.deepStrictEqual(split.eligibleUsers, [1, 2]);
+});
+
+test('temporalCutoff holds out interactions at or after the cutoff timestamp', () => {
+    const ratings = [];
+    for (let t = 1; t <= 10; t++) {
+        ratings.push(rating(t % 2 + 1, t, t));
+    }
+    ratings.push(rating(1, 99, 9)); // ties with the cutoff
+
+    const split = DataSplitter.temporalCutoff(ratings, 0.2);
+    assert.strictEqual(split.cutoff, 9);
+    assert.deepStrictEqual(split.train.map(r => r.timestamp).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepStrictEqual(split.test.map(r => r.itemId).sort((a, b) => a - b), [9, 10, 99]);
+});
+
+test('coldItems holds out every interaction of the same seeded items', () => {
+    const ratings = [];
+    for (let userId = 1; userId <= 5; userId++) {
+        for (let itemId = 1; itemId <= 20; itemId++) {
+            ratings.push(rating(userId, itemId, itemId));
+        }
+    }
+    const split = DataSplitter.coldItems(ratings, 0.1);
+    const again = DataSplitter.coldItems(ratings, 0.1);
+
+    assert.strictEqual(split.candidateItemIds.size, 2);
+    assert.deepStrictEqual([...split.candidateItemIds], [...again.candidateItemIds]);
+    assert.ok(split.test.every(r => split.candidateItemIds.has(r.itemId)));
+    assert.ok(split.train.every(r => !split.candidateItemIds.has(r.itemId)));
+    assert.strictEqual(split.test.length, 10);
+});
+
+test('RankingEvaluator averages per-user metrics and passes the seen items', async () => {
+    const split = DataSplitter.leaveLastOut([
+        rating(1, 10, 1), rating(1, 11, 2),
+        rating(2, 10, 1), rating(2, 12, 2)
+    ]);
+    const seen = [];
+    const lists = { 1: [11, 12], 2: [11, 13] }; // user 1 hits at rank 1, user 2 misses
+
+    const metrics = await new RankingEvaluator(split, 2).evaluate(async (userIds, k, seenSets) => {
+        seen.push(...seenSets.map(set => [...set]));
+        return userIds.map(userId => lists[userId].slice(0, k));
+    });
+
+    assert.deepStrictEqual(seen, [[10], [10]]);
+    assertMetrics(metrics, { k: 2, numUsers: 2, recall: 0.5, ndcg: 0.5, map: 0.5, mrr: 0.5, hitRate: 0.5 });
+});
+
+test('addTraining appends interactions to the train side', () => {
+    const split = DataSplitter.leaveLastOut([rating(1, 10, 1), rating(1, 11, 2), rating(2, 10, 1)]);
+    DataSplitter.addTraining(split, [rating(2, 12, 3), rating(3, 10, 4)]);
+
+    assert.strictEqual(split.train.length, 4);
+    assert.deepStrictEqual([...split.trainItemsByUser.get(2)], [10, 12]);
+    assert.deepStrictEqual([...split.trainItemsByUser.get(3)], [10]);
+    assert.deepStrictEqual([...split.testItemsByUser.get(1)], [11]);
+    assert.deepStrictEqual(split.eligibleUsers, [1]);
+});
+
+test('addTraining moves a repeated held-out interaction out of the test set', () => {
+    const split = DataSplitter.leaveLastOut([
+        rating(1, 10, 1), rating(1, 11, 2),
+        rating(2, 10, 1), rating(2, 12, 2)
+    ]);
+    DataSplitter.addTraining(split, [rating(1, 11, 3)]);
+
+    assert.ok(split.trainItemsByUser.get(1).has(11));
+    assert.strictEqual(split.testItemsByUser.has(1), false);
+    assert.deepStrictEqual(split.test.map(r => [r.userId, r.itemId]), [[2, 12]]);
+    assert.deepStrictEqual(split.eligibleUsers, [2]);
+});
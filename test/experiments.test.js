@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The config schema reads its enum values from the model, sampler and pipeline classes
+global.tf = require('@tensorflow/tfjs');
+for (const file of ['random.js', 'two-tower.js', 'classical.js', 'negative-sampling.js', 'pipeline.js']) {
+    Object.assign(global, require(`../${file}`));
+}
+const { ExperimentConfig } = require('../experiments.js');
+
+const edited = () => ExperimentConfig.normalize({
+    models: ['sequential', 'deep', 'ease'],
+    splitMode: 'temporal',
+    towerLayers: [128, 64],
+    learningRate: 0.01,
+    negativeSampler: 'popularity',
+    learnTemperature: true,
+    easeLambda: 50
+});
+
+test('a config survives serialize -> parse unchanged', () => {
+    const config = edited();
+    const parsed = ExperimentConfig.fromJSON(ExperimentConfig.toJSON(config));
+    assert.deepStrictEqual(parsed, config);
+    assert.deepStrictEqual(parsed.models, ['deep', 'sequential', 'ease']);
+    assert.strictEqual(parsed.towerLayers, '128,64');
+    assert.deepStrictEqual(ExperimentConfig.fromJSON(ExperimentConfig.toJSON(ExperimentConfig.defaults())),
+        ExperimentConfig.normalize());
+});
+
+test('a config survives the URL query string, which only carries changed options', () => {
+    const config = edited();
+    const query = ExperimentConfig.toQueryString(config);
+    assert.ok(!query.includes('epochs='));
+    assert.deepStrictEqual(ExperimentConfig.fromQueryString(query), config);
+    assert.strictEqual(ExperimentConfig.fromQueryString('?tab=results'), null);
+});
+
+test('fromJSON coerces strings and rejects bad input', () => {
+    assert.strictEqual(ExperimentConfig.fromJSON('{"epochs": "3", "biasTerms": "yes"}').epochs, 3);
+    assert.throws(() => ExperimentConfig.fromJSON('{"epochs": 3'), /Config is not valid JSON/);
+    assert.throws(() => ExperimentConfig.fromJSON('[1]'), /Config must be a JSON object/);
+    assert.throws(() => ExperimentConfig.fromJSON('{"epoch": 3}'), /Unknown config option: epoch/);
+    assert.throws(() => ExperimentConfig.fromJSON('{"epochs": 1.5}'), /epochs: "1.5" is not an integer/);
+    assert.throws(() => ExperimentConfig.fromJSON('{"models": []}'), /Config must train at least one model/);
+});
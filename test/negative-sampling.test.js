@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NegativeSampler } = require('../negative-sampling.js');
+
+// Ids equal their indices, so sampled indices read as item ids
+const data = {
+    numItems: 10,
+    userIdToIndex: new Map([[0, 0], [1, 1]]),
+    itemIdToIndex: new Map(Array.from({ length: 10 }, (_, i) => [i, i]))
+};
+const interactions = (userId, itemIds) => itemIds.map(itemId => ({ userId, itemId, rating: 5 }));
+
+// User 0 trains on items 0-2; item 3 is a positive only through positiveRatings
+const ratings = [...interactions(0, [0, 1, 2]), ...interactions(1, [0, 1, 2, 4, 5, 6])];
+const positiveRatings = [...ratings, ...interactions(0, [3])];
+
+const sampleMany = (sampler, batchItems = null) => Array.from(sampler.sample(new Array(200).fill(0), batchItems));
+
+for (const strategy of ['uniform', 'popularity']) {
+    test(`${strategy} sampling never returns the user's positives`, () => {
+        const sampler = new NegativeSampler(data, ratings, { strategy, numNegatives: 2, positiveRatings });
+        const negatives = sampleMany(sampler);
+        assert.strictEqual(negatives.length, 400);
+        for (const item of negatives) {
+            assert.ok(![0, 1, 2, 3].includes(item), `sampled positive item ${item}`);
+        }
+    });
+}
+
+test('popularity sampling only draws items seen in the training ratings', () => {
+    const sampler = new NegativeSampler(data, ratings, { strategy: 'popularity', positiveRatings });
+    assert.deepStrictEqual([...new Set(sampleMany(sampler))].sort(), [4, 5, 6]);
+});
+
+test('in-batch sampling skips positives among the batch items', () => {
+    const sampler = new NegativeSampler(data, ratings, { strategy: 'in-batch', positiveRatings });
+    assert.deepStrictEqual([...new Set(sampleMany(sampler, [0, 1, 2, 3, 7]))], [7]);
+});
+
+test('positives default to the training ratings', () => {
+    const sampler = new NegativeSampler(data, ratings, { strategy: 'uniform' });
+    assert.deepStrictEqual([...sampler.userPositives.get(0)], [0, 1, 2]);
+    assert.throws(() => new NegativeSampler(data, ratings, { strategy: 'random' }), /Unknown negative sampling strategy: random/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TitleSearch } = require('../title-search.js');
+
+const items = [
+    { id: 1, title: 'Toy Story (1995)', year: 1995 },
+    { id: 2, title: '1984 (1984)', year: 1984 },
+    { id: 3, title: '2001: A Space Odyssey (1968)', year: 1968 },
+    { id: 4, title: '1776 (1972)', year: 1972 },
+    { id: 5, title: 'Usual Suspects, The (1995)', year: 1995 },
+    { id: 6, title: 'Toy Story 2 (1999)', year: 1999 }
+];
+const search = new TitleSearch(items);
+const topId = query => (search.search(query, 1)[0] || {}).item?.id;
+
+test('finds titles that are numbers', () => {
+    assert.strictEqual(topId('1984'), 2);
+    assert.strictEqual(topId('2001'), 3);
+    assert.strictEqual(topId('1776'), 4);
+    assert.strictEqual(topId('2001 space odyssey'), 3);
+});
+
+test('still reads a four-digit number after a title as its year', () => {
+    assert.strictEqual(topId('usual suspects 1995'), 5);
+    assert.strictEqual(topId('Toy Story (1995)'), 1);
+    const [first, second] = search.search('toy story 1999', 2);
+    assert.deepStrictEqual([first.item.id, second.item.id], [6, 1]);
+});
+
+test('tolerates typos and a leading article', () => {
+    assert.strictEqual(topId('the usual suspect'), 5);
+    assert.strictEqual(topId('toy storry'), 1);
+});
@@ -0,0 +1,120 @@
+// Typo-tolerant movie title lookup
+// MovieLens titles look like "Usual Suspects, The (1995)"; queries like "the usual suspect" should find them
+
+class TitleSearch {
+    // items: iterable of { id, title, year }
+    constructor(items) {
+        this.entries = Array.from(items, item => {
+            const normalized = TitleSearch.normalize(item.title);
+            return {
+                item,
+                normalized,
+                bare: TitleSearch.stripArticle(normalized),
+                tokens: normalized.split(' ').filter(t => t)
+            };
+        });
+    }
+
+    // Lowercase, accents stripped, year dropped and a trailing article moved to the front
+    static normalize(title) {
+        return title
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s*\(\d{4}\)\s*$/, '')
+            .replace(/^(.*), (the|a|an|les|la|le|il|das|der|die|el)$/, '$2 $1')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    static stripArticle(normalized) {
+        return normalized.replace(/^(the|a|an|les|la|le|il|das|der|die|el) /, '');
+    }
+
+    // Returns up to limit { item, score } sorted by score (1 = exact title match; a matching year in the query adds a little)
+    search(query, limit = 10) {
+        const yearMatch = query.match(/\b(\d{4})\b/);
+        const year = yearMatch ? parseInt(yearMatch[1]) : null;
+
+        // A four-digit number may be the year or part of the title ("1984", "2001: A Space Odyssey"),
+        // so the query is scored as typed too; only the reading without it gets the year adjustment
+        const readings = [{ normalized: TitleSearch.normalize(query), year: null }];
+        if (year !== null) {
+            readings.push({ normalized: TitleSearch.normalize(query.replace(/\(?\b\d{4}\b\)?/, ' ')), year });
+        }
+        const parsed = readings
+            .map(reading => ({ ...reading, tokens: reading.normalized.split(' ').filter(t => t) }))
+            .filter(reading => reading.tokens.length > 0);
+        if (parsed.length === 0) return [];
+
+        const results = [];
+        for (const entry of this.entries) {
+            let best = 0;
+            for (const reading of parsed) {
+                let score = TitleSearch.scoreEntry(entry, TitleSearch.stripArticle(reading.normalized), reading.tokens);
+                if (score <= 0) continue;
+                if (reading.year !== null) {
+                    score += entry.item.year === reading.year ? 0.05 : -0.05;
+                }
+                best = Math.max(best, score);
+            }
+            if (best > 0) {
+                results.push({ item: entry.item, score: best });
+            }
+        }
+
+        // Ties go to the shorter title, so "Alien" ranks above "Alien Nation"
+        return results
+            .sort((a, b) => b.score - a.score || a.item.title.length - b.item.title.length)
+            .slice(0, limit);
+    }
+
+    // bareQuery: the normalized query without a leading article
+    static scoreEntry(entry, bareQuery, queryTokens) {
+        if (entry.bare === bareQuery) return 1;
+        if (entry.bare.startsWith(bareQuery)) return 0.9;
+        if (entry.normalized.includes(bareQuery)) return 0.8;
+
+        // Every query token must match some title token, exactly, as a prefix or within a few typos
+        let total = 0;
+        for (const token of queryTokens) {
+            let best = 0;
+            for (const candidate of entry.tokens) {
+                best = Math.max(best, TitleSearch.tokenSimilarity(token, candidate));
+                if (best === 1) break;
+            }
+            if (best === 0) return 0;
+            total += best;
+        }
+        return 0.7 * total / queryTokens.length;
+    }
+
+    static tokenSimilarity(token, candidate) {
+        if (token === candidate) return 1;
+        if (token.length >= 2 && candidate.startsWith(token)) return 0.9;
+
+        const maxEdits = Math.floor(Math.max(token.length, candidate.length) / 4);
+        if (maxEdits === 0 || Math.abs(token.length - candidate.length) > maxEdits) return 0;
+        const distance = TitleSearch.editDistance(token, candidate);
+        return distance <= maxEdits ? 1 - distance / Math.max(token.length, candidate.length) : 0;
+    }
+
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TitleSearch };
+}
@@ -0,0 +1,144 @@
+// Dedicated worker that runs TwoTowerPipeline training off the main thread
+// main -> worker: load-data, start, pause, resume, cancel
+// worker -> main: data-loaded, model-started, progress, validation, finished, error
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0/dist/tf.min.js',
+    'random.js',
+    'data-loaders.js',
+    'data.js',
+    'two-tower.js',
+    'evaluation.js',
+    'item-index.js',
+    'negative-sampling.js',
+    'model-store.js',
+    'pipeline.js'
+);
+
+class TrainingWorker {
+    constructor(scope) {
+        this.scope = scope;
+        this.data = null;
+        this.dataVersion = null;
+        this.running = false;
+        this.paused = false;
+        this.cancelled = false;
+
+        scope.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'load-data':
+                this.loadData(message);
+                break;
+            case 'start':
+                this.start(message.config);
+                break;
+            case 'pause':
+                this.paused = true;
+                break;
+            case 'resume':
+                this.paused = false;
+                break;
+            case 'cancel':
+                this.cancelled = true;
+                this.paused = false;
+                break;
+            default:
+                this.post({ type: 'error', message: `Unknown worker message: ${message.type}` });
+        }
+    }
+
+    post(message, transfer = []) {
+        this.scope.postMessage(message, transfer);
+    }
+
+    // Parses the same texts with the same options as the page, then replays the interactions the
+    // page appended since (in order), so id maps line up exactly
+    loadData({ version, format, files, options, updates = [] }) {
+        try {
+            this.data = MovieLensData.load(format, files, options);
+            updates.forEach(update => MovieLensData.append(this.data, update));
+            this.dataVersion = version;
+            this.post({ type: 'data-loaded', version, numRatings: this.data.ratings.length });
+        } catch (error) {
+            this.data = null;
+            this.post({ type: 'error', message: `Worker could not parse data: ${error.message}` });
+        }
+    }
+
+    async start(config) {
+        if (this.running) {
+            this.post({ type: 'error', message: 'Worker is already training' });
+            return;
+        }
+        if (!this.data) {
+            this.post({ type: 'error', message: 'Worker has no data loaded' });
+            return;
+        }
+
+        this.running = true;
+        this.paused = false;
+        this.cancelled = false;
+        const models = {};
+
+        try {
+            const split = TwoTowerPipeline.createSplit(this.data, config.splitMode);
+            const trainRatings = split ? split.train : this.data.ratings;
+
+            const results = {};
+            const transfer = [];
+            for (const name of config.models) {
+                if (this.cancelled) break;
+                this.post({ type: 'model-started', model: name });
+
+                const model = TwoTowerPipeline.createModel(name, this.data, config);
+                models[name] = model;
+                const start = performance.now();
+                const result = await TwoTowerPipeline.trainModel(model, name, this.data, trainRatings, config, {
+                    onBatch: (progress) => this.post({ type: 'progress', model: name, ...progress }),
+                    onValidation: ({ epoch, metrics, best }) => this.post({ type: 'validation', model: name, epoch, metrics, best }),
+                    beforeBatch: () => this.waitWhilePaused(),
+                    shouldStop: () => this.cancelled
+                });
+
+                // The item index is built here too; only its raw embeddings cross back
+                const index = new ItemEmbeddingIndex(model, name, this.data).build();
+                const itemEmbeddings = Float32Array.from(index.embeddings.dataSync());
+                index.dispose();
+
+                const weights = model.getTrainableVariables().map(v => ({
+                    name: v.name,
+                    shape: v.shape,
+                    values: Float32Array.from(v.dataSync())
+                }));
+                transfer.push(itemEmbeddings.buffer, ...weights.map(w => w.values.buffer));
+
+                results[name] = {
+                    dims: ModelStore.getModelDims(model),
+                    weights,
+                    itemEmbeddings,
+                    trainSeconds: (performance.now() - start) / 1000,
+                    stopReason: result.stopReason,
+                    bestEpoch: result.bestEpoch
+                };
+            }
+
+            this.post({ type: 'finished', models: results, stopped: this.cancelled }, transfer);
+        } catch (error) {
+            this.post({ type: 'error', message: error.message });
+        } finally {
+            Object.values(models).forEach(model => model.dispose());
+            this.running = false;
+        }
+    }
+
+    async waitWhilePaused() {
+        while (this.paused && !this.cancelled) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+}
+
+new TrainingWorker(self);
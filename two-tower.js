@@ -1,5 +1,30 @@
-// Two-Tower Recommender Models for MovieLens 100K
-// Baseline (Matrix Factorization) and Deep (MLP) versions
+// Two-Tower Recommender Models for MovieLens-style interaction data
+// Baseline (Matrix Factorization), Deep (MLP) and Sequential (watch history) versions
+
+// L2-normalize along an axis (tfjs has no built-in l2Normalize op)
+function l2Normalize(x, axis = -1, epsilon = 1e-12) {
+    return tf.tidy(() => {
+        const sumSquares = tf.sum(tf.square(x), axis, true);
+        return x.mul(tf.rsqrt(tf.maximum(sumSquares, epsilon)));
+    });
+}
+
+// Replaces a variable with a taller copy for users or items appended to the data: existing rows
+// are kept and new ones drawn like at initialization (or zeros). The old variable is disposed so
+// its name can be registered again.
+function growRows(variable, numRows, zeros = false) {
+    const extra = numRows - variable.shape[0];
+    if (extra <= 0) return variable;
+    const values = tf.tidy(() => {
+        const shape = [extra, ...variable.shape.slice(1)];
+        return tf.concat([variable, zeros ? tf.zeros(shape) : tf.randomNormal(shape, 0, 0.05)], 0);
+    });
+    const { name, trainable } = variable;
+    variable.dispose();
+    const grown = tf.variable(values, trainable, name);
+    values.dispose();
+    return grown;
+}
 
 class TwoTowerBaseline {
     constructor(numUsers, numItems, embDim) {
@@ -14,6 +39,7 @@ class TwoTowerBaseline {
         this.itemEmbedding = tf.variable(
             tf.randomNormal([numItems, embDim], 0, 0.05), true, 'itemEmbedding'
         );
+        this.ratingHead = null; // optional RatingHead, attached by the pipeline
     }
 
     userForward(userIdxTensor) {
@@ -28,8 +54,8 @@ class TwoTowerBaseline {
 
     score(uEmb, iEmb) {
         // Dot product along last dim with L2 normalization
-        const u = tf.l2Normalize(uEmb, -1);
-        const v = tf.l2Normalize(iEmb, -1);
+        const u = l2Normalize(uEmb, -1);
+        const v = l2Normalize(iEmb, -1);
         return tf.sum(u.mul(v), -1, true); // [B,1]
     }
 
@@ -41,185 +67,809 @@ class TwoTowerBaseline {
         });
     }
 
+    // New users and items (MovieLensData.append) get fresh rows; trained rows are untouched
+    grow(numUsers, numItems) {
+        this.userEmbedding = growRows(this.userEmbedding, numUsers);
+        this.itemEmbedding = growRows(this.itemEmbedding, numItems);
+        this.numUsers = numUsers;
+        this.numItems = numItems;
+        if (this.ratingHead) this.ratingHead.grow(numItems);
+    }
+
     getTrainableVariables() {
-        return [this.userEmbedding, this.itemEmbedding];
+        return [this.userEmbedding, this.itemEmbedding, ...(this.ratingHead ? this.ratingHead.getTrainableVariables() : [])];
+    }
+
+    dispose() {
+        // Frees the variables so a new model can register the same names
+        tf.dispose(this.getTrainableVariables());
     }
 }
 
 class TwoTowerDeep {
-    constructor(numUsers, numItems, embDim, hiddenDim, genreDim) {
+    // options.userFeatureMode: 'id' | 'features' | 'id+features'
+    // options.userFeatureDims: { age, gender, occupation, zipRegion } vocabulary sizes
+    // options.userFeatureTable: Int32Array [numUsers * 4] feature indices in user-index order
+    // options.itemFeatureMode: 'id' (ID + genres) | 'content' (genres, year, title) | 'id+content'
+    // options.itemContent: { yearBuckets, titleTermIndex, titleTermWeight, maxTitleTerms, dims: { year, titleVocab } } from parseData
+    // options.idDropout: probability of zeroing an item's ID embedding during training
+    // options.layers: hidden widths of each tower MLP, e.g. [128, 64] (default [hiddenDim])
+    // options.activation: one of TwoTowerDeep.ACTIVATIONS (default 'relu')
+    // options.dropout: dropout rate after each hidden layer, applied only in training
+    // options.layerNorm: normalize each hidden layer before its activation
+    // options.residual: add a layer's input to its output when their widths match
+    // options.embeddingL2: weight decay on the embedding tables (see regularizationLoss)
+    // options.biases: a learnable per-item bias added to the score
+    static ACTIVATIONS = ['relu', 'leaky-relu', 'elu', 'tanh', 'swish'];
+    static USER_FEATURE_MODES = ['id', 'features', 'id+features'];
+    static ITEM_FEATURE_MODES = ['id', 'content', 'id+content'];
+
+    constructor(numUsers, numItems, embDim, hiddenDim, genreDim, options = {}) {
         this.numUsers = numUsers;
         this.numItems = numItems;
         this.embDim = embDim;
         this.hiddenDim = hiddenDim;
         this.genreDim = genreDim;
+        this.ratingHead = null; // optional RatingHead, attached by the pipeline
+
+        this.layers = options.layers || [hiddenDim];
+        this.activation = options.activation || 'relu';
+        this.dropout = options.dropout || 0;
+        this.layerNorm = !!options.layerNorm;
+        this.residual = !!options.residual;
+        this.embeddingL2 = options.embeddingL2 || 0;
+        if (this.layers.length === 0 || !this.layers.every(width => Number.isInteger(width) && width > 0)) {
+            throw new Error(`Tower layers must be positive integer widths, got [${this.layers}]`);
+        }
+        if (!TwoTowerDeep.ACTIVATIONS.includes(this.activation)) {
+            throw new Error(`Unknown activation: ${this.activation}`);
+        }
+        if (this.dropout < 0 || this.dropout >= 1) {
+            throw new Error(`Dropout must be in [0, 1), got ${this.dropout}`);
+        }
+        this.userFeatureMode = options.userFeatureMode || 'id';
+        this.userFeatureDims = options.userFeatureDims || null;
+
+        const useIds = this.userFeatureMode !== 'features';
+        const useFeatures = this.userFeatureMode !== 'id';
+        if (useFeatures && (!this.userFeatureDims || !options.userFeatureTable)) {
+            throw new Error(`User feature mode "${this.userFeatureMode}" needs user demographics (u.user or users.dat)`);
+        }
+
+        this.itemFeatureMode = options.itemFeatureMode || 'id';
+        this.itemContentDims = options.itemContent ? options.itemContent.dims : null;
+        this.idDropout = options.idDropout || 0;
+        const useItemIds = this.itemFeatureMode !== 'content';
+        const useContent = this.itemFeatureMode !== 'id';
+        if (useContent && !options.itemContent) {
+            throw new Error(`Item feature mode "${this.itemFeatureMode}" needs item content from parseData`);
+        }
 
         // ID embeddings
-        this.userIdEmbedding = tf.variable(
+        this.userIdEmbedding = useIds ? tf.variable(
             tf.randomNormal([numUsers, embDim], 0, 0.05), true, 'userIdEmbedding'
-        );
-        this.itemIdEmbedding = tf.variable(
+        ) : null;
+        this.itemIdEmbedding = useItemIds ? tf.variable(
             tf.randomNormal([numItems, embDim], 0, 0.05), true, 'itemIdEmbedding'
-        );
+        ) : null;
 
         // Project genres -> emb space (learnable)
         this.genreW = tf.variable(
             tf.randomNormal([genreDim, embDim], 0, 0.05), true, 'genreW'
         );
 
-        // User tower MLP layers
-        this.userW1 = tf.variable(
-            tf.randomNormal([embDim, hiddenDim], 0, 0.05), true, 'userW1'
-        );
-        this.userB1 = tf.variable(tf.zeros([hiddenDim]), true, 'userB1');
-        this.userW2 = tf.variable(
-            tf.randomNormal([hiddenDim, embDim], 0, 0.05), true, 'userW2'
-        );
-        this.userB2 = tf.variable(tf.zeros([embDim]), true, 'userB2');
-
-        // Item tower MLP layers
-        this.itemW1 = tf.variable(
-            tf.randomNormal([embDim * 2, hiddenDim], 0, 0.05), true, 'itemW1'
-        ); // *2 because we concat idEmb + genreEmb
-        this.itemB1 = tf.variable(tf.zeros([hiddenDim]), true, 'itemB1');
-        this.itemW2 = tf.variable(
-            tf.randomNormal([hiddenDim, embDim], 0, 0.05), true, 'itemW2'
-        );
-        this.itemB2 = tf.variable(tf.zeros([embDim]), true, 'itemB2');
+        // Content features: release decade embedding + bag-of-words title projection
+        this.itemYearEmbedding = null;
+        this.titleW = null;
+        this.itemYearTable = null;
+        this.itemTitleTerms = null;
+        this.itemTitleWeights = null;
+        if (useContent) {
+            const { year, titleVocab } = this.itemContentDims;
+            this.itemYearEmbedding = tf.variable(
+                tf.randomNormal([year, embDim], 0, 0.05), true, 'itemYearEmbedding'
+            );
+            this.titleW = tf.variable(
+                tf.randomNormal([titleVocab, embDim], 0, 0.05), true, 'titleW'
+            );
+            this.setItemContent(options.itemContent, numItems);
+        }
+
+        // Demographic embeddings (bucketed age, gender, occupation, zip region), summed
+        this.userFeatureEmbeddings = [];
+        this.userFeatureTable = null;
+        if (useFeatures) {
+            const { age, gender, occupation, zipRegion } = this.userFeatureDims;
+            this.userFeatureEmbeddings = [
+                ['userAgeEmbedding', age],
+                ['userGenderEmbedding', gender],
+                ['userOccupationEmbedding', occupation],
+                ['userZipEmbedding', zipRegion]
+            ].map(([name, size]) => tf.variable(
+                tf.randomNormal([size, embDim], 0, 0.05), true, name
+            ));
+            this.userFeatureTable = tf.tensor2d(options.userFeatureTable, [numUsers, 4], 'int32');
+        }
+
+        // Tower MLPs; with one hidden layer the variables keep their original names (userW1 ... itemB2)
+        // so older saved bundles still load
+        const userInputDim = (useIds ? embDim : 0) + (useFeatures ? embDim : 0);
+        this.userLayers = this.createLayers('user', userInputDim); // idEmb and featureEmb are concatenated
+        const itemInputDim = embDim * ((useItemIds ? 1 : 0) + 1 + (useContent ? 2 : 0));
+        this.itemLayers = this.createLayers('item', itemInputDim); // idEmb + genreEmb (+ yearEmb + titleEmb)
+
+        // Score bias term: one learned popularity bias per item (a global offset would cancel out
+        // of the ranking losses; the rating head has its own)
+        this.itemBias = options.biases ? tf.variable(tf.zeros([numItems]), true, 'itemBias') : null;
+    }
+
+    // Per-item lookup tables for the content features (see MovieLensData.packTitleTerms)
+    setItemContent(content, numItems) {
+        this.itemYearTable = tf.tensor1d(content.yearBuckets, 'int32');
+        this.itemTitleTerms = tf.tensor2d(content.titleTermIndex, [numItems, content.maxTitleTerms], 'int32');
+        this.itemTitleWeights = tf.tensor2d(content.titleTermWeight, [numItems, content.maxTitleTerms], 'float32');
+    }
+
+    // One dense layer per hidden width, then a linear projection to embDim
+    createLayers(prefix, inputDim) {
+        const widths = [...this.layers, this.embDim];
+        let inputWidth = inputDim;
+        return widths.map((width, i) => {
+            const n = i + 1;
+            const hidden = i < this.layers.length;
+            const layer = {
+                W: tf.variable(tf.randomNormal([inputWidth, width], 0, 0.05), true, `${prefix}W${n}`),
+                b: tf.variable(tf.zeros([width]), true, `${prefix}B${n}`),
+                gain: hidden && this.layerNorm ? tf.variable(tf.ones([width]), true, `${prefix}LnGain${n}`) : null,
+                shift: hidden && this.layerNorm ? tf.variable(tf.zeros([width]), true, `${prefix}LnShift${n}`) : null,
+                hidden,
+                residual: hidden && this.residual && inputWidth === width
+            };
+            inputWidth = width;
+            return layer;
+        });
+    }
+
+    // dense -> layer norm -> activation -> dropout (training only) -> residual, for each hidden layer
+    mlp(layers, input, training) {
+        let x = input;
+        for (const layer of layers) {
+            let h = x.matMul(layer.W).add(layer.b);
+            if (layer.hidden) {
+                if (layer.gain) {
+                    const { mean, variance } = tf.moments(h, -1, true);
+                    h = h.sub(mean).mul(tf.rsqrt(variance.add(1e-5))).mul(layer.gain).add(layer.shift);
+                }
+                h = this.activate(h);
+                if (training && this.dropout > 0) {
+                    h = tf.dropout(h, this.dropout);
+                }
+                if (layer.residual) {
+                    h = h.add(x);
+                }
+            }
+            x = h;
+        }
+        return x;
+    }
+
+    activate(x) {
+        switch (this.activation) {
+            case 'leaky-relu': return tf.leakyRelu(x, 0.2);
+            case 'elu': return tf.elu(x);
+            case 'tanh': return tf.tanh(x);
+            case 'swish': return x.mul(tf.sigmoid(x));
+            default: return tf.relu(x);
+        }
     }
 
-    userForward(userIdx) {
+    userForward(userIdx, training = false) {
         // [B,1] -> [B,emb]
         return tf.tidy(() => {
-            const idEmb = tf.gather(this.userIdEmbedding, userIdx.squeeze([-1]));
-            
-            // MLP: embDim -> hiddenDim -> embDim
-            const h1 = tf.relu(idEmb.matMul(this.userW1).add(this.userB1));
-            const out = h1.matMul(this.userW2).add(this.userB2);
-            
-            return tf.l2Normalize(out, -1);
+            const indices = userIdx.squeeze([-1]);
+            const idEmb = this.userIdEmbedding ? tf.gather(this.userIdEmbedding, indices) : null;
+            const features = this.userFeatureTable ? tf.gather(this.userFeatureTable, indices) : null;
+            return this.userTower(idEmb, features, training);
+        });
+    }
+
+    userFeatureForward(userFeatures) {
+        // [B,4] int32 demographic indices -> [B,emb]; works for users the model has never seen
+        // (in 'id+features' mode the missing ID embedding is replaced by zeros)
+        return tf.tidy(() => {
+            const idEmb = this.userIdEmbedding ? tf.zeros([userFeatures.shape[0], this.embDim]) : null;
+            return this.userTower(idEmb, userFeatures);
         });
     }
 
-    itemForward(itemIdx, itemGenresOneHot) {
+    userTower(idEmb, userFeatures, training = false) {
+        const inputs = [];
+        if (idEmb) inputs.push(idEmb);
+        if (userFeatures) {
+            const featureEmb = tf.addN(this.userFeatureEmbeddings.map((table, f) =>
+                tf.gather(table, userFeatures.slice([0, f], [-1, 1]).squeeze([-1]))
+            ));
+            inputs.push(featureEmb);
+        }
+        const input = inputs.length > 1 ? tf.concat(inputs, -1) : inputs[0];
+        
+        // MLP: input -> layers -> embDim
+        return l2Normalize(this.mlp(this.userLayers, input, training), -1);
+    }
+
+    itemForward(itemIdx, itemGenresOneHot, training = false) {
         // [B,1], [B,G] -> [B,emb]
         return tf.tidy(() => {
-            const idEmb = tf.gather(this.itemIdEmbedding, itemIdx.squeeze([-1]));
-            const genreEmb = itemGenresOneHot.matMul(this.genreW); // project one-hot genres
-            const combined = tf.concat([idEmb, genreEmb], -1); // [B, 2*embDim]
-            
-            // MLP: 2*embDim -> hiddenDim -> embDim
-            const h1 = tf.relu(combined.matMul(this.itemW1).add(this.itemB1));
-            const out = h1.matMul(this.itemW2).add(this.itemB2);
-            
-            return tf.l2Normalize(out, -1);
+            const inputs = this.itemInputs(itemIdx.squeeze([-1]), itemGenresOneHot);
+            if (inputs.id && training && this.idDropout > 0) {
+                // Drop whole ID vectors so the tower learns to rely on content
+                const keep = tf.randomUniform([inputs.id.shape[0], 1]).greaterEqual(this.idDropout);
+                inputs.id = inputs.id.mul(keep.cast('float32'));
+            }
+            return this.itemTower(inputs, training);
         });
     }
 
-    score(uEmb, iEmb) {
+    // Item tower inputs in concat order: { id?, genres, year?, title? }, each [B, emb]
+    itemInputs(indices, itemGenresOneHot) {
+        const inputs = {};
+        if (this.itemIdEmbedding) {
+            inputs.id = tf.gather(this.itemIdEmbedding, indices);
+        }
+        inputs.genres = itemGenresOneHot.matMul(this.genreW); // project one-hot genres
+        if (this.itemYearTable) {
+            inputs.year = tf.gather(this.itemYearEmbedding, tf.gather(this.itemYearTable, indices));
+            // Weighted sum of the title's word vectors: the bag of words times titleW, without the dense matrix
+            inputs.title = this.itemContentDims.titleVocab > 0 ?
+                tf.gather(this.titleW, tf.gather(this.itemTitleTerms, indices))
+                    .mul(tf.gather(this.itemTitleWeights, indices).expandDims(2))
+                    .sum(1) :
+                tf.zeros([indices.shape[0], this.embDim]);
+        }
+        return inputs;
+    }
+
+    itemTower(inputs, training = false) {
+        const combined = tf.concat(Object.values(inputs), -1); // [B, itemInputDim]
+        
+        // MLP: itemInputDim -> layers -> embDim
+        return l2Normalize(this.mlp(this.itemLayers, combined, training), -1);
+    }
+
+    // Share of each item vector owed to each tower input: how far the (normalized) output
+    // moves when that input alone is zeroed, scaled so the shares of an item sum to 1.
+    // Returns per item e.g. { id: 0.6, genres: 0.4 }
+    async itemInputAttribution(itemIdx, itemGenresOneHot) {
+        const names = [];
+        const shifts = tf.tidy(() => {
+            const inputs = this.itemInputs(itemIdx.squeeze([-1]), itemGenresOneHot);
+            const full = this.itemTower(inputs);
+            return tf.stack(Object.keys(inputs).map(name => {
+                names.push(name);
+                const ablated = this.itemTower({ ...inputs, [name]: tf.zerosLike(inputs[name]) });
+                return tf.norm(full.sub(ablated), 'euclidean', -1);
+            }), 1); // [B, inputs]
+        });
+        try {
+            return (await shifts.array()).map(row => {
+                const total = row.reduce((sum, shift) => sum + shift, 0) || 1;
+                return Object.fromEntries(names.map((name, j) => [name, row[j] / total]));
+            });
+        } finally {
+            shifts.dispose();
+        }
+    }
+
+    // itemIdx ([B] or [B,1]) adds the item bias when the model has one
+    score(uEmb, iEmb, itemIdx = null) {
         // Dot product with L2 normalization
-        const u = tf.l2Normalize(uEmb, -1);
-        const v = tf.l2Normalize(iEmb, -1);
-        return tf.sum(u.mul(v), -1, true); // [B,1]
+        const u = l2Normalize(uEmb, -1);
+        const v = l2Normalize(iEmb, -1);
+        const cosine = tf.sum(u.mul(v), -1, true); // [B,1]
+        if (!this.itemBias || !itemIdx) return cosine;
+        return cosine.add(tf.gather(this.itemBias, itemIdx.reshape([-1])).reshape([-1, 1]));
     }
 
     predict(userIdx, itemIdx, itemGenres) {
         return tf.tidy(() => {
             const uEmb = this.userForward(userIdx);
             const iEmb = this.itemForward(itemIdx, itemGenres);
-            return this.score(uEmb, iEmb);
+            return this.score(uEmb, iEmb, itemIdx);
         });
     }
 
+    // New users and items (MovieLensData.append) get fresh embedding rows and zero biases;
+    // options carries the grown userFeatureTable and itemContent of the data
+    grow(numUsers, numItems, options = {}) {
+        if (this.userIdEmbedding) this.userIdEmbedding = growRows(this.userIdEmbedding, numUsers);
+        if (this.itemIdEmbedding) this.itemIdEmbedding = growRows(this.itemIdEmbedding, numItems);
+        if (this.itemBias) this.itemBias = growRows(this.itemBias, numItems, true);
+        if (this.userFeatureTable) {
+            this.userFeatureTable.dispose();
+            this.userFeatureTable = tf.tensor2d(options.userFeatureTable, [numUsers, 4], 'int32');
+        }
+        if (this.itemYearTable) {
+            tf.dispose([this.itemYearTable, this.itemTitleTerms, this.itemTitleWeights]);
+            this.setItemContent(options.itemContent, numItems);
+        }
+        this.numUsers = numUsers;
+        this.numItems = numItems;
+        if (this.ratingHead) this.ratingHead.grow(numItems);
+    }
+
+    // embeddingL2 * sum of squares over every embedding table (null when weight decay is off)
+    regularizationLoss() {
+        if (this.embeddingL2 <= 0) return null;
+        const tables = [
+            this.userIdEmbedding, ...this.userFeatureEmbeddings,
+            this.itemIdEmbedding, this.genreW, this.itemYearEmbedding, this.titleW
+        ].filter(v => v);
+        return tf.addN(tables.map(table => tf.sum(tf.square(table)))).mul(this.embeddingL2);
+    }
+
     getTrainableVariables() {
+        const layerVariables = layers => layers.flatMap(layer => [layer.W, layer.b, layer.gain, layer.shift]);
         return [
-            this.userIdEmbedding, this.itemIdEmbedding, this.genreW,
-            this.userW1, this.userB1, this.userW2, this.userB2,
-            this.itemW1, this.itemB1, this.itemW2, this.itemB2
-        ];
+            this.userIdEmbedding, ...this.userFeatureEmbeddings,
+            this.itemIdEmbedding, this.genreW, this.itemYearEmbedding, this.titleW,
+            ...layerVariables(this.userLayers), ...layerVariables(this.itemLayers),
+            this.itemBias,
+            ...(this.ratingHead ? this.ratingHead.getTrainableVariables() : [])
+        ].filter(v => v);
+    }
+
+    dispose() {
+        tf.dispose(this.getTrainableVariables());
+        if (this.userFeatureTable) this.userFeatureTable.dispose();
+        if (this.itemYearTable) tf.dispose([this.itemYearTable, this.itemTitleTerms, this.itemTitleWeights]);
+    }
+}
+
+class TwoTowerSequential {
+    // User tower encodes the last maxHistory items (oldest -> newest, left-padded);
+    // item tower is the shared item embedding table.
+    // options.encoder: 'mean' | 'gru' | 'attention'
+    static ENCODERS = ['mean', 'gru', 'attention'];
+
+    constructor(numUsers, numItems, embDim, options = {}) {
+        this.numUsers = numUsers;
+        this.numItems = numItems;
+        this.embDim = embDim;
+        this.maxHistory = options.maxHistory || 20;
+        this.encoder = options.encoder || 'mean';
+        this.padIndex = numItems; // extra embedding row used for padding
+
+        if (!TwoTowerSequential.ENCODERS.includes(this.encoder)) {
+            throw new Error(`Unknown sequence encoder: ${this.encoder}`);
+        }
+
+        const init = (shape, name) => tf.variable(tf.randomNormal(shape, 0, 0.05), true, name);
+
+        this.seqItemEmbedding = init([numItems + 1, embDim], 'seqItemEmbedding');
+        this.seqOutW = init([embDim, embDim], 'seqOutW');
+        this.seqOutB = tf.variable(tf.zeros([embDim]), true, 'seqOutB');
+
+        if (this.encoder === 'gru') {
+            // Update (z), reset (r) and candidate (h) gates
+            for (const gate of ['Z', 'R', 'H']) {
+                this[`gruW${gate}`] = init([embDim, embDim], `gruW${gate}`);
+                this[`gruU${gate}`] = init([embDim, embDim], `gruU${gate}`);
+                this[`gruB${gate}`] = tf.variable(tf.zeros([embDim]), true, `gruB${gate}`);
+            }
+        } else if (this.encoder === 'attention') {
+            this.attnPosition = init([this.maxHistory, embDim], 'attnPosition');
+            this.attnWQ = init([embDim, embDim], 'attnWQ');
+            this.attnWK = init([embDim, embDim], 'attnWK');
+            this.attnWV = init([embDim, embDim], 'attnWV');
+        }
+
+        this.historyTable = null; // [numUsers, maxHistory] serving histories, see setHistories
+        this.ratingHead = null; // optional RatingHead, attached by the pipeline
+    }
+
+    // Sorted item-index sequences per user index from a list of ratings
+    static buildSequences(ratings, userIdToIndex, itemIdToIndex) {
+        const byUser = new Map();
+        for (const rating of ratings) {
+            const userIndex = userIdToIndex.get(rating.userId);
+            if (!byUser.has(userIndex)) {
+                byUser.set(userIndex, []);
+            }
+            byUser.get(userIndex).push(rating);
+        }
+
+        const sequences = new Map();
+        const positions = new Map(); // rating object -> position in its user's sequence
+        for (const [userIndex, userRatings] of byUser.entries()) {
+            userRatings.sort((a, b) => a.timestamp - b.timestamp || a.itemId - b.itemId);
+            sequences.set(userIndex, userRatings.map(r => itemIdToIndex.get(r.itemId)));
+            userRatings.forEach((rating, pos) => positions.set(rating, pos));
+        }
+        return { sequences, positions };
+    }
+
+    // Items before position end, right-aligned into a row of length maxHistory
+    historyRow(sequence, end = sequence.length) {
+        const row = new Array(this.maxHistory).fill(this.padIndex);
+        const start = Math.max(0, end - this.maxHistory);
+        for (let i = start; i < end; i++) {
+            row[this.maxHistory - (end - i)] = sequence[i];
+        }
+        return row;
+    }
+
+    // New items get fresh embedding rows ahead of the padding row, which stays last.
+    // Histories index the grown table, so call setHistories afterwards.
+    grow(numUsers, numItems) {
+        if (numItems > this.numItems) {
+            const values = tf.tidy(() => tf.concat([
+                this.seqItemEmbedding.slice([0, 0], [this.numItems, -1]),
+                tf.randomNormal([numItems - this.numItems, this.embDim], 0, 0.05),
+                this.seqItemEmbedding.slice([this.numItems, 0], [1, -1])
+            ], 0));
+            this.seqItemEmbedding.dispose();
+            this.seqItemEmbedding = tf.variable(values, true, 'seqItemEmbedding');
+            values.dispose();
+        }
+        this.numUsers = numUsers;
+        this.numItems = numItems;
+        this.padIndex = numItems;
+        if (this.ratingHead) this.ratingHead.grow(numItems);
+    }
+
+    // Histories used when scoring a user outside training (everything seen so far)
+    setHistories(sequences) {
+        if (this.historyTable) this.historyTable.dispose();
+        const rows = [];
+        for (let u = 0; u < this.numUsers; u++) {
+            rows.push(this.historyRow(sequences.get(u) || []));
+        }
+        this.historyTable = tf.tensor2d(rows, [this.numUsers, this.maxHistory], 'int32');
+    }
+
+    userInputs(userIndices) {
+        return tf.gather(this.historyTable, tf.tensor1d(userIndices, 'int32'));
+    }
+
+    userForward(histories) {
+        // [B,N] int32 item indices -> [B,emb]
+        return tf.tidy(() => {
+            const [batch, steps] = histories.shape;
+            const emb = tf.gather(this.seqItemEmbedding, histories); // [B,N,E]
+            const mask = tf.notEqual(histories, this.padIndex).cast('float32').expandDims(-1); // [B,N,1]
+
+            let encoded;
+            if (this.encoder === 'gru') {
+                let h = tf.zeros([batch, this.embDim]);
+                for (let t = 0; t < steps; t++) {
+                    const x = emb.slice([0, t, 0], [-1, 1, -1]).squeeze([1]);
+                    const m = mask.slice([0, t, 0], [-1, 1, -1]).squeeze([1]);
+                    const z = tf.sigmoid(x.matMul(this.gruWZ).add(h.matMul(this.gruUZ)).add(this.gruBZ));
+                    const r = tf.sigmoid(x.matMul(this.gruWR).add(h.matMul(this.gruUR)).add(this.gruBR));
+                    const candidate = tf.tanh(x.matMul(this.gruWH).add(r.mul(h).matMul(this.gruUH)).add(this.gruBH));
+                    const next = tf.sub(1, z).mul(h).add(z.mul(candidate));
+                    h = m.mul(next).add(tf.sub(1, m).mul(h)); // padded steps keep the previous state
+                }
+                encoded = h;
+            } else if (this.encoder === 'attention') {
+                const x = emb.add(this.attnPosition.slice([this.maxHistory - steps, 0], [steps, -1]));
+                const flat = x.reshape([batch * steps, this.embDim]);
+                const project = (w) => flat.matMul(w).reshape([batch, steps, this.embDim]);
+                const q = project(this.attnWQ);
+                const k = project(this.attnWK);
+                const v = project(this.attnWV);
+
+                const keyMask = tf.sub(1, mask.reshape([batch, 1, steps])).mul(-1e9);
+                const weights = tf.softmax(tf.matMul(q, k, false, true).div(Math.sqrt(this.embDim)).add(keyMask), -1);
+                const attended = x.add(tf.matMul(weights, v)); // residual, [B,N,E]
+
+                // Newest item sits at the last position
+                encoded = attended.slice([0, steps - 1, 0], [-1, 1, -1]).squeeze([1]);
+            } else {
+                const count = tf.maximum(mask.sum(1), 1);
+                encoded = emb.mul(mask).sum(1).div(count);
+            }
+
+            const out = encoded.matMul(this.seqOutW).add(this.seqOutB);
+            return l2Normalize(out, -1);
+        });
+    }
+
+    itemForward(itemIdx) {
+        // [B,1] int32 -> [B,embDim]
+        return tf.tidy(() => l2Normalize(tf.gather(this.seqItemEmbedding, itemIdx.squeeze([-1])), -1));
+    }
+
+    score(uEmb, iEmb) {
+        const u = l2Normalize(uEmb, -1);
+        const v = l2Normalize(iEmb, -1);
+        return tf.sum(u.mul(v), -1, true); // [B,1]
+    }
+
+    predict(histories, itemIdx) {
+        return tf.tidy(() => this.score(this.userForward(histories), this.itemForward(itemIdx)));
+    }
+
+    getTrainableVariables() {
+        const variables = [this.seqItemEmbedding, this.seqOutW, this.seqOutB];
+        if (this.encoder === 'gru') {
+            for (const gate of ['Z', 'R', 'H']) {
+                variables.push(this[`gruW${gate}`], this[`gruU${gate}`], this[`gruB${gate}`]);
+            }
+        } else if (this.encoder === 'attention') {
+            variables.push(this.attnPosition, this.attnWQ, this.attnWK, this.attnWV);
+        }
+        if (this.ratingHead) {
+            variables.push(...this.ratingHead.getTrainableVariables());
+        }
+        return variables;
+    }
+
+    dispose() {
+        tf.dispose(this.getTrainableVariables());
+        if (this.historyTable) this.historyTable.dispose();
+    }
+}
+
+// Optional rating regression on top of any pair of towers:
+// rating = mean + itemBias[i] + w . (u * v), with u and v the L2-normalized tower outputs
+class RatingHead {
+    // prefix keeps variable names unique when several models carry a head (e.g. 'deep')
+    constructor(numItems, embDim, prefix, globalMean = 3.5) {
+        this.numItems = numItems;
+        this.embDim = embDim;
+        this.ratingBias = tf.variable(tf.scalar(globalMean), true, `${prefix}RatingBias`);
+        this.ratingItemBias = tf.variable(tf.zeros([numItems]), true, `${prefix}RatingItemBias`);
+        this.ratingW = tf.variable(tf.fill([embDim], 1), true, `${prefix}RatingW`);
+    }
+
+    // userEmbs, itemEmbs: [B, D] (any norm); itemIdx: [B] or [B,1] int32 -> [B] predicted ratings
+    predict(userEmbs, itemEmbs, itemIdx) {
+        return tf.tidy(() => {
+            const interaction = l2Normalize(userEmbs, -1).mul(l2Normalize(itemEmbs, -1)); // [B, D]
+            return interaction.matMul(this.ratingW.reshape([-1, 1])).reshape([-1])
+                .add(tf.gather(this.ratingItemBias, itemIdx.reshape([-1])))
+                .add(this.ratingBias);
+        });
+    }
+
+    grow(numItems) {
+        this.ratingItemBias = growRows(this.ratingItemBias, numItems, true);
+        this.numItems = numItems;
+    }
+
+    getTrainableVariables() {
+        return [this.ratingBias, this.ratingItemBias, this.ratingW];
     }
 }
 
 // Loss functions
 class TwoTowerLoss {
-    static inBatchSoftmaxLoss(userEmbs, itemEmbs) {
+    // options.temperature: number or scalar tensor dividing the cosine logits
+    // options.logQ: [B] log sampling probability of each batch item (logQ correction)
+    // options.itemIds: [B] int32 item indices; repeated items are masked as negatives
+    // options.weights: [B] per-example weights (0 drops a row's own loss; it stays a negative for the others)
+    // options.itemBias: [B] learned bias of each batch item, added to its column of logits
+    static inBatchSoftmaxLoss(userEmbs, itemEmbs, options = {}) {
         return tf.tidy(() => {
             // Normalize embeddings
-            const u = tf.l2Normalize(userEmbs, -1); // [B, D]
-            const v = tf.l2Normalize(itemEmbs, -1); // [B, D]
+            const u = l2Normalize(userEmbs, -1); // [B, D]
+            const v = l2Normalize(itemEmbs, -1); // [B, D]
             
             // Compute logits: U @ V^T -> [B, B]
-            const logits = u.matMul(v.transpose());
+            let logits = u.matMul(v.transpose());
+            if (options.temperature !== undefined && options.temperature !== null) {
+                logits = logits.div(options.temperature);
+            }
+            if (options.itemBias) {
+                logits = logits.add(options.itemBias.reshape([1, -1]));
+            }
+            
+            // Popular items are over-sampled as in-batch negatives: subtract log q_j per column
+            if (options.logQ) {
+                logits = logits.sub(options.logQ.reshape([1, -1]));
+            }
             
             // Labels: diagonal positions are positive (identity matrix)
             const batchSize = userEmbs.shape[0];
-            const labels = tf.oneHot(tf.range(0, batchSize), batchSize);
+            const labels = tf.oneHot(tf.range(0, batchSize, 1, 'int32'), batchSize);
+            
+            // Same item elsewhere in the batch is not a negative for this row
+            if (options.itemIds) {
+                const ids = options.itemIds.reshape([-1]);
+                const sameItem = tf.equal(ids.reshape([-1, 1]), ids.reshape([1, -1]));
+                const duplicate = tf.logicalAnd(sameItem, tf.logicalNot(tf.cast(labels, 'bool')));
+                logits = tf.where(duplicate, tf.fill(logits.shape, -1e9), logits);
+            }
             
             // Softmax cross entropy
+            if (options.weights) {
+                const losses = tf.losses.softmaxCrossEntropy(labels, logits, undefined, 0, tf.Reduction.NONE);
+                return TwoTowerLoss.weightedMean(losses, options.weights);
+            }
             const loss = tf.losses.softmaxCrossEntropy(labels, logits);
             return loss;
         });
     }
 
-    static bprLoss(userEmbs, posItemEmbs, negItemEmbs) {
+    // weights: optional [B] per-example weights; the loss is their weighted average
+    // biases: optional { pos: [B], neg: [B] } learned item biases added to each score
+    static bprLoss(userEmbs, posItemEmbs, negItemEmbs, weights = null, biases = null) {
         return tf.tidy(() => {
             // Normalize embeddings
-            const u = tf.l2Normalize(userEmbs, -1);
-            const pos = tf.l2Normalize(posItemEmbs, -1);
-            const neg = tf.l2Normalize(negItemEmbs, -1);
+            const u = l2Normalize(userEmbs, -1);
+            const pos = l2Normalize(posItemEmbs, -1);
+            const neg = l2Normalize(negItemEmbs, -1);
             
             // Compute scores
-            const posScores = tf.sum(u.mul(pos), -1); // [B]
-            const negScores = tf.sum(u.mul(neg), -1); // [B]
+            let posScores = tf.sum(u.mul(pos), -1); // [B]
+            let negScores = tf.sum(u.mul(neg), -1); // [B]
+            if (biases) {
+                posScores = posScores.add(biases.pos);
+                negScores = negScores.add(biases.neg);
+            }
             
-            // BPR loss: -log σ(pos_score - neg_score)
+            // BPR loss: -log σ(pos_score - neg_score) = softplus(neg_score - pos_score)
+            // (tf.logSigmoid's custom gradient breaks inside tidy during minimize)
             const diff = posScores.sub(negScores);
-            const loss = tf.mean(tf.neg(tf.logSigmoid(diff)));
+            const losses = tf.softplus(tf.neg(diff));
             
-            return loss;
+            return weights ? TwoTowerLoss.weightedMean(losses, weights) : tf.mean(losses);
+        });
+    }
+
+    // sum(w * loss) / sum(w), so scaling every weight leaves the loss unchanged (0 if all weights are 0)
+    static weightedMean(losses, weights) {
+        return tf.tidy(() => {
+            const totalWeight = tf.maximum(tf.sum(weights), 1e-8);
+            return tf.sum(losses.mul(weights)).div(totalWeight);
         });
     }
 }
 
 // Training utilities
 class TwoTowerTrainer {
-    constructor(model, optimizer, lossType = 'softmax') {
+    // options (softmax only): temperature, learnTemperature, itemLogQ (Float32Array per item index), maskDuplicates
+    // options.ratingLossWeight: scale of the rating head's MSE next to the ranking loss
+    // Models with a regularizationLoss() (e.g. embedding weight decay) have it added to every step
+    constructor(model, optimizer, lossType = 'softmax', options = {}) {
         this.model = model;
         this.optimizer = optimizer;
         this.lossType = lossType;
+        this.ratingLossWeight = options.ratingLossWeight ?? 1.0;
+
+        this.temperature = options.temperature || 1.0;
+        this.maskDuplicates = !!options.maskDuplicates;
+        this.itemLogQ = options.itemLogQ ? tf.tensor1d(options.itemLogQ, 'float32') : null;
+
+        // Learned as log(temperature) so it stays positive
+        this.logTemperature = options.learnTemperature ?
+            tf.variable(tf.scalar(Math.log(this.temperature)), true) : null;
     }
 
-    async trainStep(userBatch, itemBatch, genresBatch = null) {
+    // Item log-frequencies log(count_j / total) from a list of ratings, indexed by item index
+    static itemLogFrequencies(ratings, itemIdToIndex, numItems) {
+        const counts = new Float32Array(numItems);
+        for (const { itemId } of ratings) {
+            counts[itemIdToIndex.get(itemId)]++;
+        }
+        const total = ratings.length || 1;
+        return counts.map(count => Math.log(Math.max(count, 1) / total));
+    }
+
+    getTemperature() {
+        return this.logTemperature ? Math.exp(this.logTemperature.dataSync()[0]) : this.temperature;
+    }
+
+    getTrainableVariables() {
+        const variables = this.model.getTrainableVariables();
+        return this.logTemperature ? [...variables, this.logTemperature] : variables;
+    }
+
+    softmaxOptions(itemBatch) {
+        const itemIds = itemBatch.reshape([-1]);
+        return {
+            temperature: this.logTemperature ?
+                tf.exp(this.logTemperature.clipByValue(Math.log(0.01), Math.log(10))) :
+                this.temperature,
+            logQ: this.itemLogQ ? tf.gather(this.itemLogQ, itemIds) : null,
+            itemIds: this.maskDuplicates ? itemIds : null,
+            itemBias: this.itemBiases(itemIds)
+        };
+    }
+
+    // [B] learned bias of each item, or null for models without bias terms
+    itemBiases(itemIdx) {
+        return this.model.itemBias ? tf.gather(this.model.itemBias, itemIdx.reshape([-1])) : null;
+    }
+
+    dispose() {
+        if (this.itemLogQ) this.itemLogQ.dispose();
+        if (this.logTemperature) this.logTemperature.dispose();
+    }
+
+    // negItemBatch: [B*n,1] sampled negatives (user-major, see NegativeSampler); in-batch shuffle if null
+    // extras.weights: [B] ranking-loss weight per example; extras.ratings: [B] targets for the rating head
+    async trainStep(userBatch, itemBatch, genresBatch = null, negItemBatch = null, negGenresBatch = null, extras = {}) {
+        const weights = extras.weights || null;
+        const ratings = extras.ratings || null;
         return tf.tidy(() => {
             const lossFunction = () => {
                 if (this.lossType === 'softmax') {
-                    const userEmbs = this.model.userForward(userBatch);
+                    const userEmbs = this.model.userForward(userBatch, true);
                     const itemEmbs = genresBatch ? 
-                        this.model.itemForward(itemBatch, genresBatch) : 
+                        this.model.itemForward(itemBatch, genresBatch, true) : 
                         this.model.itemForward(itemBatch);
-                    return TwoTowerLoss.inBatchSoftmaxLoss(userEmbs, itemEmbs);
+                    const loss = TwoTowerLoss.inBatchSoftmaxLoss(userEmbs, itemEmbs, { ...this.softmaxOptions(itemBatch), weights });
+                    return this.addRegularization(this.addRatingLoss(loss, userEmbs, itemEmbs, itemBatch, ratings));
                 } else { // BPR
-                    // For BPR, we need negative samples - use in-batch negatives
-                    const userEmbs = this.model.userForward(userBatch);
-                    const posItemEmbs = genresBatch ? 
-                        this.model.itemForward(itemBatch, genresBatch) : 
+                    let userEmbs = this.model.userForward(userBatch, true);
+                    let posItemEmbs = genresBatch ? 
+                        this.model.itemForward(itemBatch, genresBatch, true) : 
                         this.model.itemForward(itemBatch);
                     
-                    // Shuffle items for negatives
-                    const negIndices = tf.util.createShuffledIndices(itemBatch.shape[0]);
-                    const negItemBatch = tf.gather(itemBatch, negIndices);
-                    const negGenresBatch = genresBatch ? tf.gather(genresBatch, negIndices) : null;
+                    let negItems = negItemBatch;
+                    let negGenres = negGenresBatch;
+                    if (!negItems) {
+                        // No sampler: shuffle items in the batch for negatives
+                        const negIndices = tf.tensor1d(
+                            Array.from(tf.util.createShuffledIndices(itemBatch.shape[0])), 'int32'
+                        );
+                        negItems = tf.gather(itemBatch, negIndices);
+                        negGenres = genresBatch ? tf.gather(genresBatch, negIndices) : null;
+                    }
                     
-                    const negItemEmbs = negGenresBatch ? 
-                        this.model.itemForward(negItemBatch, negGenresBatch) : 
-                        this.model.itemForward(negItemBatch);
+                    const negItemEmbs = negGenres ? 
+                        this.model.itemForward(negItems, negGenres, true) : 
+                        this.model.itemForward(negItems);
                     
-                    return TwoTowerLoss.bprLoss(userEmbs, posItemEmbs, negItemEmbs);
+                    // Repeat each user/positive pair once per sampled negative
+                    const pairUserEmbs = userEmbs;
+                    const pairItemEmbs = posItemEmbs;
+                    let pairWeights = weights;
+                    let posItems = itemBatch;
+                    const numNegatives = negItems.shape[0] / itemBatch.shape[0];
+                    if (numNegatives > 1) {
+                        userEmbs = TwoTowerTrainer.repeatRows(userEmbs, numNegatives);
+                        posItemEmbs = TwoTowerTrainer.repeatRows(posItemEmbs, numNegatives);
+                        posItems = TwoTowerTrainer.repeatRows(itemBatch.reshape([-1, 1]), numNegatives);
+                        if (weights) {
+                            pairWeights = TwoTowerTrainer.repeatRows(weights.reshape([-1, 1]), numNegatives).reshape([-1]);
+                        }
+                    }
+                    const biases = this.model.itemBias ?
+                        { pos: this.itemBiases(posItems), neg: this.itemBiases(negItems) } : null;
+                    
+                    const loss = TwoTowerLoss.bprLoss(userEmbs, posItemEmbs, negItemEmbs, pairWeights, biases);
+                    return this.addRegularization(this.addRatingLoss(loss, pairUserEmbs, pairItemEmbs, itemBatch, ratings));
                 }
             };
 
-            const loss = this.optimizer.minimize(lossFunction, true, this.model.getTrainableVariables());
+            const loss = this.optimizer.minimize(lossFunction, true, this.getTrainableVariables());
             return loss ? loss.dataSync()[0] : 0;
         });
     }
+
+    // Joint objective: ranking loss + ratingLossWeight * MSE of the rating head (when the model has one)
+    addRatingLoss(loss, userEmbs, itemEmbs, itemBatch, ratings) {
+        if (!ratings || !this.model.ratingHead) return loss;
+        const predicted = this.model.ratingHead.predict(userEmbs, itemEmbs, itemBatch);
+        return loss.add(tf.losses.meanSquaredError(ratings, predicted).mul(this.ratingLossWeight));
+    }
+
+    // Adds the model's own penalty terms (none for models without regularizationLoss)
+    addRegularization(loss) {
+        const penalty = this.model.regularizationLoss ? this.model.regularizationLoss() : null;
+        return penalty ? loss.add(penalty) : loss;
+    }
+
+    static repeatRows(x, times) {
+        // [B,D] -> [B*times,D], each row repeated consecutively
+        const [batch, dim] = x.shape;
+        return x.expandDims(1).tile([1, times, 1]).reshape([batch * times, dim]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { l2Normalize, growRows, TwoTowerBaseline, TwoTowerDeep, TwoTowerSequential, RatingHead, TwoTowerLoss, TwoTowerTrainer };
 }